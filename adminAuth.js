@@ -0,0 +1,66 @@
+// adminAuth.js
+// Admin API keys and roles for the /api/admin/* routes
+//
+// A key looks like  vvas_<id>_<secret>. Only sha256(secret) is stored; the id finds the record
+// and the hash is compared in constant time. Keys are shown once, when created or rotated.
+
+const crypto = require("crypto");
+
+// Scopes each admin route asks for (see requireAdmin in server.js)
+const SCOPES = [
+  "offers:read",
+  "offers:write",
+  "audit:read",
+  "orders:read",
+  "orders:raw_amount", // custom amounts on /create-razorpay-order
+  "payments:refund",
+  "invoices:read",
+  "webhooks:read",
+  "webhooks:replay",
+  "keys:manage",
+];
+
+const READ_SCOPES = ["offers:read", "audit:read", "orders:read", "invoices:read", "webhooks:read"];
+
+const ADMIN_ROLES = {
+  viewer: READ_SCOPES,
+  "offers-editor": [...READ_SCOPES, "offers:write"],
+  finance: [...READ_SCOPES, "payments:refund", "orders:raw_amount", "webhooks:replay"],
+  admin: SCOPES,
+};
+
+function roleHasScope(role, scope) {
+  return (ADMIN_ROLES[role] || []).includes(scope);
+}
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(String(secret)).digest("hex");
+}
+
+// New key material: { id, secret, key } — store id + hashSecret(secret), hand `key` to the user
+function generateApiKey(id = `key_${crypto.randomBytes(6).toString("hex")}`) {
+  const secret = crypto.randomBytes(24).toString("base64url");
+  return { id, secret, key: `vvas_${id}_${secret}` };
+}
+
+// "vvas_key_ab12cd34ef56_<secret>" → { id, secret }; null for anything else
+function parseApiKey(key) {
+  const match = /^vvas_(key_[a-f0-9]{12})_([A-Za-z0-9_-]{32})$/.exec(String(key || "").trim());
+  return match ? { id: match[1], secret: match[2] } : null;
+}
+
+function secretMatchesHash(secret, storedHash) {
+  const a = Buffer.from(hashSecret(secret), "hex");
+  const b = Buffer.from(String(storedHash || ""), "hex");
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  SCOPES,
+  ADMIN_ROLES,
+  roleHasScope,
+  hashSecret,
+  generateApiKey,
+  parseApiKey,
+  secretMatchesHash,
+};
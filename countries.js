@@ -0,0 +1,124 @@
+// countries.js
+// Country names / codes as customers type them → ISO 3166-1 alpha-2 codes ("India", "IN", "Bharat" → "IN")
+//
+// Names come from the runtime's Intl region names (English), plus the aliases below.
+// countryCode(input) → "IN" | null (blank or unknown)
+
+const REGION_NAMES = new Intl.DisplayNames(["en"], { type: "region" });
+
+// Region codes Intl knows that aren't countries
+const NOT_COUNTRIES = ["EU", "EZ", "QO", "UN", "XA", "XB", "ZZ"];
+
+// Withdrawn codes Intl still names → their current code
+const REPLACED_CODES = {
+  AN: "CW",
+  BU: "MM",
+  CS: "RS",
+  DD: "DE",
+  DY: "BJ",
+  FX: "FR",
+  HV: "BF",
+  NH: "VU",
+  RH: "ZW",
+  SU: "RU",
+  TP: "TL",
+  UK: "GB",
+  VD: "VN",
+  YD: "YE",
+  YU: "RS",
+  ZR: "CD",
+};
+
+// Other spellings customers actually type (already normalized, see normalizeName)
+const ALIASES = {
+  bharat: "IN",
+  hindustan: "IN",
+  ind: "IN",
+  usa: "US",
+  "united states of america": "US",
+  america: "US",
+  "great britain": "GB",
+  britain: "GB",
+  england: "GB",
+  scotland: "GB",
+  wales: "GB",
+  "northern ireland": "GB",
+  uae: "AE",
+  emirates: "AE",
+  ksa: "SA",
+  korea: "KR",
+  "republic of korea": "KR",
+  "russian federation": "RU",
+  holland: "NL",
+  "the netherlands": "NL",
+  "czech republic": "CZ",
+  turkey: "TR",
+  "ivory coast": "CI",
+  "democratic republic of the congo": "CD",
+  drc: "CD",
+  "republic of the congo": "CG",
+  "viet nam": "VN",
+  "hong kong": "HK",
+  macau: "MO",
+  macao: "MO",
+  swaziland: "SZ",
+  "cabo verde": "CV",
+  macedonia: "MK",
+  palestine: "PS",
+};
+
+// "Côte d’Ivoire" → "cote d'ivoire", "St. Kitts & Nevis" → "st kitts and nevis"
+function normalizeName(name) {
+  return String(name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[\u2019`]/g, "'")
+    .replace(/&/g, " and ")
+    .replace(/\./g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function isCountryCode(code) {
+  return !NOT_COUNTRIES.includes(code) && !REPLACED_CODES[code] && REGION_NAMES.of(code) !== code;
+}
+
+// Every current alpha-2 code → its English name, built once from Intl
+const COUNTRY_NAMES = {};
+const CODES_BY_NAME = {};
+for (const a of "ABCDEFGHIJKLMNOPQRSTUVWXYZ") {
+  for (const b of "ABCDEFGHIJKLMNOPQRSTUVWXYZ") {
+    const code = a + b;
+    if (!isCountryCode(code)) continue;
+    const name = REGION_NAMES.of(code);
+    COUNTRY_NAMES[code] = name;
+    // "Myanmar (Burma)" is also found as "myanmar" and "burma"
+    const bracketed = /^(.*) \((.*)\)$/.exec(name);
+    [name, ...(bracketed ? bracketed.slice(1) : [])].forEach((n) => {
+      CODES_BY_NAME[normalizeName(n)] = code;
+    });
+  }
+}
+Object.assign(CODES_BY_NAME, ALIASES);
+
+// "India" | "in" | "Bharat" → "IN"; null when blank or unknown
+function countryCode(input) {
+  const text = String(input || "").trim();
+  if (!text) return null;
+  if (/^[A-Za-z]{2}$/.test(text)) {
+    const code = text.toUpperCase();
+    if (REPLACED_CODES[code]) return REPLACED_CODES[code];
+    if (COUNTRY_NAMES[code]) return code;
+  }
+  return CODES_BY_NAME[normalizeName(text)] || null;
+}
+
+function countryName(code) {
+  return COUNTRY_NAMES[code] || null;
+}
+
+module.exports = {
+  countryCode,
+  countryName,
+};
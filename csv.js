@@ -0,0 +1,94 @@
+// csv.js
+// Minimal RFC 4180 CSV: admin export/import of offers and campaign codes
+//
+// Lists inside a cell (plans, countries, ...) are joined with "|".
+
+const LIST_SEPARATOR = "|";
+
+// Text cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIXES = ["=", "+", "-", "@", "\t", "\r"];
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = Array.isArray(value) ? value.join(LIST_SEPARATOR) : String(value);
+  if (typeof value === "string" && FORMULA_PREFIXES.includes(text[0])) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// rows: [object], columns: [key] → CSV text with a header line
+function toCsv(rows, columns) {
+  const lines = [columns.join(",")];
+  rows.forEach((row) => lines.push(columns.map((col) => escapeCell(row[col])).join(",")));
+  return lines.join("\r\n") + "\r\n";
+}
+
+// CSV text → [[cell]] (quoted cells may contain commas, quotes and newlines)
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const src = String(text || "").replace(/^﻿/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+// CSV text with a header line → [{ column: value }] (header names trimmed; cells trimmed)
+function parseCsv(text) {
+  const [header, ...rows] = parseRows(text);
+  if (!header) return [];
+  const columns = header.map((h) => h.trim());
+  return rows.map((cells) => {
+    const record = {};
+    columns.forEach((col, i) => {
+      // undo the formula guard added on export
+      const value = String(cells[i] ?? "").trim();
+      record[col] = value.startsWith("'") && FORMULA_PREFIXES.includes(value[1]) ? value.slice(1) : value;
+    });
+    return record;
+  });
+}
+
+function splitList(value) {
+  return String(value || "")
+    .split(LIST_SEPARATOR)
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  toCsv,
+  parseCsv,
+  splitList,
+};
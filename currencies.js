@@ -0,0 +1,146 @@
+// currencies.js
+// Checkout currencies: minor units, rounding, INR → currency conversion and country → currency lookup
+//
+// Catalog prices are INR. Another currency is sold when either
+//   - the plan has a price book for it (plansConfig.js `pricesByCurrency`), or
+//   - CURRENCY_RATES has a rate for it, e.g. CURRENCY_RATES='{"USD":0.012,"EUR":0.011}'
+//     (units of the currency per 1 INR). Converted prices are rounded UP to the currency's `roundTo` step.
+
+const countries = require("./countries");
+
+// minorUnits: decimals Razorpay expects in `amount`; roundTo: price step in major units
+const CURRENCIES = {
+  INR: { symbol: "₹", minorUnits: 2, roundTo: 1 },
+  USD: { symbol: "$", minorUnits: 2, roundTo: 1 },
+  EUR: { symbol: "€", minorUnits: 2, roundTo: 1 },
+  GBP: { symbol: "£", minorUnits: 2, roundTo: 1 },
+  AED: { symbol: "AED ", minorUnits: 2, roundTo: 1 },
+  SGD: { symbol: "S$", minorUnits: 2, roundTo: 1 },
+  JPY: { symbol: "¥", minorUnits: 0, roundTo: 100 },
+};
+
+const BASE_CURRENCY = "INR";
+
+// Euro area members (ISO codes)
+const EURO_COUNTRIES = [
+  "AT",
+  "BE",
+  "HR",
+  "CY",
+  "EE",
+  "FI",
+  "FR",
+  "DE",
+  "GR",
+  "IE",
+  "IT",
+  "LV",
+  "LT",
+  "LU",
+  "MT",
+  "NL",
+  "PT",
+  "SK",
+  "SI",
+  "ES",
+];
+
+// ISO country code → checkout currency (other countries pay in INR unless they pick a currency)
+const COUNTRY_CURRENCIES = {
+  IN: "INR",
+  US: "USD",
+  GB: "GBP",
+  AE: "AED",
+  SG: "SGD",
+  JP: "JPY",
+  ...Object.fromEntries(EURO_COUNTRIES.map((c) => [c, "EUR"])),
+};
+
+function loadRates() {
+  const raw = process.env.CURRENCY_RATES;
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    const rates = {};
+    Object.entries(parsed || {}).forEach(([code, rate]) => {
+      const cur = String(code).toUpperCase();
+      if (CURRENCIES[cur] && Number(rate) > 0) rates[cur] = Number(rate);
+    });
+    return rates;
+  } catch (err) {
+    console.error("[CURRENCY] CURRENCY_RATES is not valid JSON; only INR prices will be used.", err.message);
+    return {};
+  }
+}
+
+const RATES = { ...loadRates(), [BASE_CURRENCY]: 1 };
+
+function normalizeCurrency(code) {
+  const cur = String(code || "").trim().toUpperCase();
+  return CURRENCIES[cur] ? cur : null;
+}
+
+function hasRate(currency) {
+  return RATES[currency] !== undefined;
+}
+
+// "India" | "IN" | "Bharat" → "INR" (see countries.js)
+function currencyForCountry(country) {
+  return COUNTRY_CURRENCIES[countries.countryCode(country)] || null;
+}
+
+function roundToStep(amount, step) {
+  // toFixed guards against 0.1 + 0.2 style noise before rounding
+  return Math.round(Number((amount / step).toFixed(6))) * step;
+}
+
+// Nearest price step (taxes, discounts)
+function roundAmount(amount, currency) {
+  const { roundTo } = CURRENCIES[currency] || CURRENCIES[BASE_CURRENCY];
+  return roundToStep(Number(amount) || 0, roundTo);
+}
+
+// INR → currency for list prices: rounded up so conversion never undercharges
+function convertPrice(amountInr, currency) {
+  if (currency === BASE_CURRENCY) return amountInr;
+  if (!hasRate(currency)) return null;
+  const { roundTo } = CURRENCIES[currency];
+  return Math.ceil(Number(((amountInr * RATES[currency]) / roundTo).toFixed(6))) * roundTo;
+}
+
+// INR → currency for fixed amounts (e.g. FIXED coupons): nearest step
+function convertAmount(amountInr, currency) {
+  if (currency === BASE_CURRENCY) return amountInr;
+  if (!hasRate(currency)) return null;
+  return roundAmount(amountInr * RATES[currency], currency);
+}
+
+function toMinorUnits(amount, currency) {
+  const { minorUnits } = CURRENCIES[currency] || CURRENCIES[BASE_CURRENCY];
+  return Math.round(Number(amount) * 10 ** minorUnits);
+}
+
+function fromMinorUnits(amountMinor, currency) {
+  const { minorUnits } = CURRENCIES[currency] || CURRENCIES[BASE_CURRENCY];
+  return Number(amountMinor) / 10 ** minorUnits;
+}
+
+function formatMoney(amount, currency) {
+  const { symbol, minorUnits } = CURRENCIES[currency] || CURRENCIES[BASE_CURRENCY];
+  const value = Number(amount) || 0;
+  return `${symbol}${Number.isInteger(value) ? value : value.toFixed(minorUnits)}`;
+}
+
+module.exports = {
+  CURRENCIES,
+  BASE_CURRENCY,
+  normalizeCurrency,
+  hasRate,
+  currencyForCountry,
+  roundAmount,
+  convertPrice,
+  convertAmount,
+  toMinorUnits,
+  fromMinorUnits,
+  formatMoney,
+};
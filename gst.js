@@ -0,0 +1,123 @@
+// gst.js
+// Indian GST helpers: state codes (first two digits of a GSTIN) and place-of-supply lookups
+
+const GST_STATE_CODES = {
+  "01": "Jammu and Kashmir",
+  "02": "Himachal Pradesh",
+  "03": "Punjab",
+  "04": "Chandigarh",
+  "05": "Uttarakhand",
+  "06": "Haryana",
+  "07": "Delhi",
+  "08": "Rajasthan",
+  "09": "Uttar Pradesh",
+  "10": "Bihar",
+  "11": "Sikkim",
+  "12": "Arunachal Pradesh",
+  "13": "Nagaland",
+  "14": "Manipur",
+  "15": "Mizoram",
+  "16": "Tripura",
+  "17": "Meghalaya",
+  "18": "Assam",
+  "19": "West Bengal",
+  "20": "Jharkhand",
+  "21": "Odisha",
+  "22": "Chhattisgarh",
+  "23": "Madhya Pradesh",
+  "24": "Gujarat",
+  "26": "Dadra and Nagar Haveli and Daman and Diu",
+  "27": "Maharashtra",
+  "29": "Karnataka",
+  "30": "Goa",
+  "31": "Lakshadweep",
+  "32": "Kerala",
+  "33": "Tamil Nadu",
+  "34": "Puducherry",
+  "35": "Andaman and Nicobar Islands",
+  "36": "Telangana",
+  "37": "Andhra Pradesh",
+  "38": "Ladakh",
+  "97": "Other Territory",
+};
+
+// Spellings customers actually type, mapped to their state code
+const STATE_ALIASES = {
+  "new delhi": "07",
+  "nct of delhi": "07",
+  orissa: "21",
+  pondicherry: "34",
+  "j&k": "01",
+  "jammu & kashmir": "01",
+  "andaman & nicobar islands": "35",
+  "daman and diu": "26",
+  "dadra and nagar haveli": "26",
+  uttaranchal: "05",
+};
+
+function normalizeStateName(name) {
+  return String(name || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+}
+
+// "Karnataka" → "29"; null when unknown
+function stateCodeFromName(name) {
+  const normalized = normalizeStateName(name);
+  if (!normalized) return null;
+  if (STATE_ALIASES[normalized]) return STATE_ALIASES[normalized];
+
+  const match = Object.entries(GST_STATE_CODES).find(([, label]) => normalizeStateName(label) === normalized);
+  return match ? match[0] : null;
+}
+
+// State code (2 digits) + PAN (5 letters, 4 digits, 1 letter) + entity number + "Z" + check character
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_CHARSET = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+// " 29abcde1234f1z5 " → "29ABCDE1234F1Z5"
+function normalizeGstin(gstin) {
+  return String(gstin || "")
+    .replace(/\s+/g, "")
+    .toUpperCase();
+}
+
+// Check character of the first 14 characters (GSTN's mod-36 scheme: weights 1, 2, 1, 2, ...)
+function gstinCheckCharacter(first14) {
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARSET.indexOf(first14[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+}
+
+// → { valid: true, gstin, stateCode } or { valid: false, reason: "FORMAT" | "STATE_CODE" | "CHECKSUM" }
+function checkGstin(value) {
+  const gstin = normalizeGstin(value);
+  if (!GSTIN_PATTERN.test(gstin)) return { valid: false, reason: "FORMAT" };
+  const stateCode = stateCodeFromGstin(gstin);
+  if (!stateCode) return { valid: false, reason: "STATE_CODE" };
+  if (gstinCheckCharacter(gstin.slice(0, 14)) !== gstin[14]) return { valid: false, reason: "CHECKSUM" };
+  return { valid: true, gstin, stateCode };
+}
+
+// "29ABCDE1234F1Z5" → "29"; null when the prefix isn't a known state
+function stateCodeFromGstin(gstin) {
+  const code = String(gstin || "").trim().slice(0, 2);
+  return GST_STATE_CODES[code] ? code : null;
+}
+
+function stateName(code) {
+  return GST_STATE_CODES[code] || null;
+}
+
+module.exports = {
+  GST_STATE_CODES,
+  normalizeGstin,
+  checkGstin,
+  stateCodeFromName,
+  stateCodeFromGstin,
+  stateName,
+};
@@ -0,0 +1,91 @@
+// gstVerification.js
+// GSTIN lookups (is the registration active, whose is it) for B2B checkout
+//
+// Every provider has the same interface:
+//   name
+//   verify(gstin) → Promise<{ status: "active" | "inactive" | "not_found", legalName, tradeName } | null>
+//                   null: not looked up; rejects when the lookup itself fails (network, HTTP 5xx, ...)
+// Providers:
+//   "none" – no lookup: only the offline format / checksum check in gst.js applies
+//   "stub" – local dev / tests: every GSTIN is active, with a made-up legal name unless
+//            `stubs` ({ GSTIN: { status, legalName, tradeName } }) says otherwise
+//   "http" – GET <url>/<GSTIN> (Authorization: Bearer <apiKey>) of a GST lookup API (GSP / aggregator);
+//            understands { status, legalName, tradeName } and the GSTN public-search field names
+// loadGstinStubs() reads the stub provider's `stubs` from GSTIN_VERIFY_STUBS (JSON)
+
+const fetch = require("node-fetch");
+
+function createNoopProvider() {
+  return {
+    name: "none",
+    verify: async () => null,
+  };
+}
+
+// Malformed GSTIN_VERIFY_STUBS is logged and ignored: a dev setting must not stop the server booting
+function loadGstinStubs(raw = process.env.GSTIN_VERIFY_STUBS) {
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) return parsed;
+    console.error("[GSTIN] GSTIN_VERIFY_STUBS must be a JSON object { GSTIN: { status, legalName } }; ignoring it.");
+  } catch (err) {
+    console.error("[GSTIN] GSTIN_VERIFY_STUBS is not valid JSON; ignoring it.", err.message);
+  }
+  return {};
+}
+
+function createStubProvider({ stubs = {} } = {}) {
+  return {
+    name: "stub",
+    async verify(gstin) {
+      const stub = stubs[gstin] || { legalName: `STUB LEGAL NAME ${gstin.slice(2, 12)}` };
+      return { status: stub.status || "active", legalName: stub.legalName || "", tradeName: stub.tradeName || "" };
+    },
+  };
+}
+
+// GSTN public search: { sts: "Active" | "Cancelled" | ..., lgnm, tradeNam }
+function statusOf(raw) {
+  const status = String(raw || "").trim().toLowerCase();
+  if (status === "active") return "active";
+  if (["not_found", "not found", "invalid"].includes(status)) return "not_found";
+  return "inactive"; // cancelled, suspended, inactive, ...
+}
+
+function createHttpProvider({ url, apiKey, timeoutMs = 5000 }) {
+  if (!url) throw new Error('GSTIN verification provider "http" needs GSTIN_VERIFY_URL');
+  const base = url.replace(/\/+$/, "");
+
+  return {
+    name: "http",
+    async verify(gstin) {
+      const response = await fetch(`${base}/${encodeURIComponent(gstin)}`, {
+        headers: { Accept: "application/json", ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+        timeout: timeoutMs,
+      });
+      if (response.status === 404) return { status: "not_found", legalName: "", tradeName: "" };
+      if (!response.ok) throw new Error(`GSTIN lookup failed: HTTP ${response.status}`);
+
+      const body = await response.json();
+      const data = body.data || body;
+      return {
+        status: statusOf(data.status ?? data.sts),
+        legalName: String(data.legalName ?? data.lgnm ?? "").trim(),
+        tradeName: String(data.tradeName ?? data.tradeNam ?? "").trim(),
+      };
+    },
+  };
+}
+
+function createGstinVerifier({ provider = "none", url, apiKey, timeoutMs, stubs } = {}) {
+  if (provider === "none") return createNoopProvider();
+  if (provider === "stub") return createStubProvider({ stubs });
+  if (provider === "http") return createHttpProvider({ url, apiKey, timeoutMs });
+  throw new Error(`Unknown GSTIN_VERIFY_PROVIDER "${provider}" (expected none, stub or http)`);
+}
+
+module.exports = {
+  createGstinVerifier,
+  loadGstinStubs,
+};
@@ -0,0 +1,224 @@
+// invoices.js
+// GST tax invoices: builds the JSON form from a paid order and renders it as a PDF
+
+const PDFDocument = require("pdfkit");
+const gst = require("./gst");
+const currencies = require("./currencies");
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+// Indian financial year (April → March, IST) for a date: "2026-27"
+function financialYearOf(date = new Date()) {
+  const ist = new Date(date.getTime() + 5.5 * 60 * 60 * 1000);
+  const year = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${year}-${String((year + 1) % 100).padStart(2, "0")}`;
+}
+
+// Splits the GST-inclusive amount into taxable value + CGST/SGST (same state) or IGST (other state).
+// Unknown buyer state falls back to the seller's state (place of supply = supplier location).
+// knownTaxableValue: the taxable value priced at checkout (order notes), used instead of backing it out.
+// foreignTax: the tax is the buyer's country's (tax.js "foreign" treatment), not GST → otherTax.
+function computeTaxSplit({
+  total,
+  gstApplied,
+  gstRate,
+  sellerStateCode,
+  buyerStateCode,
+  knownTaxableValue,
+  foreignTax = false,
+}) {
+  if (!gstApplied) {
+    return { supplyType: "export", taxableValue: round2(total), cgst: 0, sgst: 0, igst: 0, otherTax: 0, totalTax: 0 };
+  }
+
+  const hasKnown = Number.isFinite(knownTaxableValue) && knownTaxableValue > 0 && knownTaxableValue <= total;
+  const taxableValue = round2(hasKnown ? knownTaxableValue : total / (1 + gstRate));
+  const totalTax = round2(total - taxableValue);
+  const placeOfSupply = buyerStateCode || sellerStateCode;
+
+  if (foreignTax) {
+    return { supplyType: "export", taxableValue, cgst: 0, sgst: 0, igst: 0, otherTax: totalTax, totalTax };
+  }
+
+  if (placeOfSupply === sellerStateCode) {
+    const cgst = round2(totalTax / 2);
+    const sgst = round2(totalTax - cgst);
+    return { supplyType: "intra_state", taxableValue, cgst, sgst, igst: 0, otherTax: 0, totalTax };
+  }
+  return { supplyType: "inter_state", taxableValue, cgst: 0, sgst: 0, igst: totalTax, otherTax: 0, totalTax };
+}
+
+/**
+ * order: Razorpay order (notes = our checkout notes), seller: { legalName, gstin, address }
+ * gstRate: for orders without the tax engine's taxRate / taxTreatment notes
+ * Returns the JSON form of the invoice; amounts are rupees with paise.
+ */
+function buildTaxInvoice({ number, issuedAt, order, payment_id, seller, description, sacCode, gstRate }) {
+  const notes = order.notes || {};
+  const total = round2(currencies.fromMinorUnits(order.amount, order.currency || "INR"));
+  // The treatment decides the supply type: a domestic sale at a 0% rate is still a domestic supply.
+  // Orders from before the tax engine have no taxTreatment note: GST charged ⇒ domestic.
+  const treatment = notes.taxTreatment || ((Number(notes.gstAmount) || 0) > 0 ? "domestic" : "export");
+  const gstApplied = treatment === "domestic" || treatment === "foreign";
+  const taxRate = notes.taxRate ? Number(notes.taxRate) : gstRate;
+
+  const sellerStateCode = gst.stateCodeFromGstin(seller.gstin);
+  const buyerGstin = String(notes.gstStatus || "").toLowerCase() === "yes" ? String(notes.gstNumber || "").trim() : "";
+  const buyerStateCode = gst.stateCodeFromGstin(buyerGstin) || gst.stateCodeFromName(notes.state);
+
+  const knownTaxableValue = notes.taxableValue ? Number(notes.taxableValue) : undefined;
+  const split = computeTaxSplit({
+    total,
+    gstApplied,
+    gstRate: taxRate,
+    sellerStateCode,
+    buyerStateCode,
+    knownTaxableValue,
+    foreignTax: treatment === "foreign",
+  });
+  const placeOfSupplyCode = split.supplyType === "export" ? null : buyerStateCode || sellerStateCode;
+
+  return {
+    version: "v1",
+    id: order.id,
+    number,
+    financialYear: financialYearOf(new Date(issuedAt)),
+    issuedAt,
+    currency: order.currency || "INR",
+    reverseCharge: treatment === "reverse_charge",
+    taxTreatment: treatment, // see tax.js
+    supplyType: split.supplyType,
+    seller: {
+      legalName: seller.legalName,
+      gstin: seller.gstin,
+      address: seller.address,
+      stateCode: sellerStateCode,
+      stateName: gst.stateName(sellerStateCode),
+    },
+    buyer: {
+      name: notes.fullName || "",
+      company: notes.company || "",
+      legalName: (buyerGstin && notes.gstLegalName) || "", // as registered with GSTN (verified at checkout)
+      gstin: buyerGstin || null,
+      email: notes.email || "",
+      city: notes.city || "",
+      state: notes.state || "",
+      postalCode: notes.postalCode || "",
+      country: notes.country || "",
+      stateCode: buyerStateCode,
+    },
+    placeOfSupply: placeOfSupplyCode
+      ? { stateCode: placeOfSupplyCode, stateName: gst.stateName(placeOfSupplyCode) }
+      : { country: notes.country || "" },
+    lines: [
+      {
+        description,
+        sac: sacCode,
+        quantity: 1,
+        taxableValue: split.taxableValue,
+      },
+    ],
+    rates: {
+      cgst: split.cgst ? round2((taxRate * 100) / 2) : 0,
+      sgst: split.sgst ? round2((taxRate * 100) / 2) : 0,
+      igst: split.igst ? round2(taxRate * 100) : 0,
+      other: split.otherTax ? round2(taxRate * 100) : 0,
+    },
+    otherTaxName: split.otherTax ? notes.taxName || "Tax" : undefined, // VAT etc. of the buyer's country
+    totals: {
+      taxableValue: split.taxableValue,
+      cgst: split.cgst,
+      sgst: split.sgst,
+      igst: split.igst,
+      otherTax: split.otherTax,
+      totalTax: split.totalTax,
+      total,
+    },
+    ids: {
+      order_id: order.id,
+      payment_id,
+      receipt: order.receipt,
+      coupon_code: notes.offerCode || undefined,
+    },
+  };
+}
+
+function money(n, currency) {
+  const { minorUnits } = currencies.CURRENCIES[currency] || currencies.CURRENCIES.INR;
+  return `${currency === "INR" ? "Rs." : currency} ${Number(n || 0).toFixed(minorUnits)}`;
+}
+
+// Resolves with the PDF bytes
+function renderInvoicePdf(invoice) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const cur = invoice.currency;
+    const { seller, buyer, totals } = invoice;
+
+    doc.fontSize(18).text("TAX INVOICE", { align: "center" });
+    doc.moveDown();
+
+    doc.fontSize(10);
+    doc.text(seller.legalName || "");
+    if (seller.address) doc.text(seller.address);
+    doc.text(`GSTIN: ${seller.gstin || "-"}`);
+    if (seller.stateName) doc.text(`State: ${seller.stateName} (${seller.stateCode})`);
+    doc.moveDown();
+
+    doc.text(`Invoice No: ${invoice.number}`);
+    doc.text(`Invoice Date: ${invoice.issuedAt.slice(0, 10)}`);
+    doc.text(`Reverse charge: ${invoice.reverseCharge ? "Yes" : "No"}`);
+    doc.text(
+      invoice.placeOfSupply.stateCode
+        ? `Place of supply: ${invoice.placeOfSupply.stateName} (${invoice.placeOfSupply.stateCode})`
+        : `Place of supply: Outside India (${invoice.placeOfSupply.country || "-"})`
+    );
+    doc.moveDown();
+
+    doc.text("Bill to:", { underline: true });
+    if (buyer.legalName) doc.text(buyer.legalName);
+    if (buyer.company && buyer.company.toLowerCase() !== buyer.legalName.toLowerCase()) doc.text(buyer.company);
+    doc.text(buyer.name);
+    doc.text([buyer.city, buyer.state, buyer.postalCode, buyer.country].filter(Boolean).join(", "));
+    if (buyer.gstin) doc.text(`GSTIN: ${buyer.gstin}`);
+    if (buyer.email) doc.text(buyer.email);
+    doc.moveDown();
+
+    invoice.lines.forEach((line) => {
+      doc.text(`${line.description}  |  SAC ${line.sac}  |  Qty ${line.quantity}  |  ${money(line.taxableValue, cur)}`);
+    });
+    doc.moveDown();
+
+    doc.text(`Taxable value: ${money(totals.taxableValue, cur)}`, { align: "right" });
+    if (totals.cgst) doc.text(`CGST @ ${invoice.rates.cgst}%: ${money(totals.cgst, cur)}`, { align: "right" });
+    if (totals.sgst) doc.text(`SGST @ ${invoice.rates.sgst}%: ${money(totals.sgst, cur)}`, { align: "right" });
+    if (totals.igst) doc.text(`IGST @ ${invoice.rates.igst}%: ${money(totals.igst, cur)}`, { align: "right" });
+    if (totals.otherTax) {
+      doc.text(`${invoice.otherTaxName} @ ${invoice.rates.other}%: ${money(totals.otherTax, cur)}`, { align: "right" });
+    }
+    if (invoice.reverseCharge) {
+      doc.text("Reverse charge – tax to be accounted for by the recipient", { align: "right" });
+    } else if (invoice.supplyType === "export") {
+      doc.text("Export of services – no GST charged", { align: "right" });
+    }
+    doc.fontSize(12).text(`Total: ${money(totals.total, cur)}`, { align: "right" });
+    doc.moveDown();
+
+    doc.fontSize(8).text(`Order ${invoice.ids.order_id} · Payment ${invoice.ids.payment_id}`, { align: "left" });
+    doc.text("This is a computer-generated invoice and does not require a signature.");
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  financialYearOf,
+  computeTaxSplit,
+  buildTaxInvoice,
+  renderInvoicePdf,
+};
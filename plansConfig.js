@@ -1,102 +1,107 @@
 // plansConfig.js
 // Canonical list of all VVAS plans for Offers Engine + /plans API
+// Single pricing catalog: ids, labels, base prices per billing cycle (INR, before GST),
+// the yearly discount and legacy-id aliases. server.js reads everything from here.
+// Optional per-plan price books for other currencies: pricesByCurrency: { USD: { monthly: 199 } };
+// without one, the INR price is converted with CURRENCY_RATES (see currencies.js).
 
-module.exports = [
+const currencies = require("./currencies");
+
+// Yearly price = 12 × monthly price, minus this discount (unless a plan sets prices.yearly)
+const YEARLY_DISCOUNT = 0.2;
+
+const PLANS = [
   // ───────────────── SUBSCRIPTIONS ─────────────────
 
   {
     id: "starter_subscription",
     label: "Starter – Subscription",
     product: "VVAS",
+    segment: "starterpro",
     tier: "starter",
     kind: "subscription",
-    billingGroup: "subscription",   // used for filters / derived billingTypes
+    billingCycles: ["monthly", "yearly"], // used for filters / derived billingTypes
+    prices: { monthly: 15000 },
     sortOrder: 10,
+    legacyIds: ["SP_STARTER"],
   },
   {
     id: "pro_subscription",
     label: "Pro – Subscription",
     product: "VVAS",
+    segment: "starterpro",
     tier: "pro",
     kind: "subscription",
-    billingGroup: "subscription",
+    billingCycles: ["monthly", "yearly"],
+    prices: { monthly: 30000 },
     sortOrder: 20,
+    legacyIds: ["SP_PRO"],
   },
 
-  // Enterprise subscription buckets
+  // Enterprise subscription buckets (one plan per package; billing cycle picked at checkout)
   {
-    id: "enterprise_60_monthly",
-    label: "Enterprise 60 – Monthly",
+    id: "enterprise_60",
+    label: "Enterprise 60",
     product: "VVAS",
+    segment: "enterprise",
+    enterprisePackage: "60",
     tier: "enterprise_60",
     kind: "subscription",
-    billingGroup: "monthly",
+    billingCycles: ["monthly", "yearly"],
+    prices: { monthly: 40000 },
     sortOrder: 40,
+    legacyIds: ["ENT_60", "enterprise_60_monthly", "enterprise_60_yearly"],
   },
   {
-    id: "enterprise_60_yearly",
-    label: "Enterprise 60 – Yearly",
-    product: "VVAS",
-    tier: "enterprise_60",
-    kind: "subscription",
-    billingGroup: "yearly",
-    sortOrder: 41,
-  },
-  {
-    id: "enterprise_90_monthly",
-    label: "Enterprise 90 – Monthly",
+    id: "enterprise_90",
+    label: "Enterprise 90",
     product: "VVAS",
+    segment: "enterprise",
+    enterprisePackage: "90",
     tier: "enterprise_90",
     kind: "subscription",
-    billingGroup: "monthly",
+    billingCycles: ["monthly", "yearly"],
+    prices: { monthly: 50000 },
     sortOrder: 50,
+    legacyIds: ["ENT_90", "enterprise_90_monthly", "enterprise_90_yearly"],
   },
   {
-    id: "enterprise_90_yearly",
-    label: "Enterprise 90 – Yearly",
-    product: "VVAS",
-    tier: "enterprise_90",
-    kind: "subscription",
-    billingGroup: "yearly",
-    sortOrder: 51,
-  },
-  {
-    id: "enterprise_120_monthly",
-    label: "Enterprise 120 – Monthly",
+    id: "enterprise_120",
+    label: "Enterprise 120",
     product: "VVAS",
+    segment: "enterprise",
+    enterprisePackage: "120",
     tier: "enterprise_120",
     kind: "subscription",
-    billingGroup: "monthly",
+    billingCycles: ["monthly", "yearly"],
+    prices: { monthly: 55000 },
     sortOrder: 60,
-  },
-  {
-    id: "enterprise_120_yearly",
-    label: "Enterprise 120 – Yearly",
-    product: "VVAS",
-    tier: "enterprise_120",
-    kind: "subscription",
-    billingGroup: "yearly",
-    sortOrder: 61,
+    legacyIds: ["ENT_120", "enterprise_120_monthly", "enterprise_120_yearly"],
   },
 
   // ───────────────── ONE-TIME PROJECTS ─────────────────
 
+  // Not sold yet: no price, so they stay out of pricing + admin plan lists
   {
     id: "starter_one_time",
     label: "Starter – One-time",
     product: "VVAS",
+    segment: "starterpro",
     tier: "starter",
     kind: "one_time",
-    billingGroup: "one_time",
+    billingCycles: ["one_time"],
+    prices: {},
     sortOrder: 110,
   },
   {
     id: "pro_one_time",
     label: "Pro – One-time",
     product: "VVAS",
+    segment: "starterpro",
     tier: "pro",
     kind: "one_time",
-    billingGroup: "one_time",
+    billingCycles: ["one_time"],
+    prices: {},
     sortOrder: 120,
   },
 
@@ -105,40 +110,135 @@ module.exports = [
     id: "one_time_60_videos",
     label: "One-time – Up to 60 Videos",
     product: "VVAS",
+    segment: "one_time",
     tier: "videos_60",
     kind: "one_time",
-    billingGroup: "one_time",
+    billingCycles: ["one_time"],
+    prices: { one_time: 40000 },
     sortOrder: 130,
+    legacyIds: ["PLAN_60"],
   },
   {
     id: "one_time_90_videos",
     label: "One-time – Up to 90 Videos",
     product: "VVAS",
+    segment: "one_time",
     tier: "videos_90",
     kind: "one_time",
-    billingGroup: "one_time",
+    billingCycles: ["one_time"],
+    prices: { one_time: 50000 },
     sortOrder: 131,
+    legacyIds: ["PLAN_90"],
   },
   {
     id: "one_time_120_videos",
     label: "One-time – Up to 120 Videos",
     product: "VVAS",
+    segment: "one_time",
     tier: "videos_120",
     kind: "one_time",
-    billingGroup: "one_time",
+    billingCycles: ["one_time"],
+    prices: { one_time: 55000 },
     sortOrder: 132,
+    legacyIds: ["PLAN_120"],
   },
 
-  // Consultation – canonical 60-min plan
+  // Consultation – canonical 60-min plan (also the enterprise "consultation" package)
   {
     id: "one_time_consult_60",
     label: "One-time – 60-min Consultation",
     product: "VVAS",
+    segment: "enterprise",
+    enterprisePackage: "consultation",
+    isConsultation: true,
     tier: "consult_60",
     kind: "one_time",
-    billingGroup: "one_time",
+    billingCycles: ["one_time"],
+    prices: { one_time: 5000 },
     sortOrder: 200,
-    // for backwards compatibility with older offers:
-    legacyIds: ["enterprise_consultation_call_one_time"],
+    // for backwards compatibility with older offers (the first one is what enterprise checkout used to send):
+    legacyIds: ["ENT_CONSULTATION", "enterprise_consultation_call_one_time", "PLAN_CALL"],
   },
 ];
+
+// ───────────────── LOOKUPS ─────────────────
+
+// Accepts canonical ids and legacy aliases
+function findPlan(planId) {
+  const id = String(planId || "").trim();
+  if (!id) return null;
+  return PLANS.find((p) => p.id === id || (p.legacyIds || []).includes(id)) || null;
+}
+
+// The id checkout sent before this catalog (SP_STARTER, ENT_60, ...): the first legacy id.
+// Order notes and n8n payloads carry it as legacyPlanId for flows still keyed on it.
+function legacyPlanId(planId) {
+  const plan = findPlan(planId);
+  if (!plan) return null;
+  return (plan.legacyIds || [])[0] || plan.id;
+}
+
+function resolvePlanId(planId) {
+  const plan = findPlan(planId);
+  return plan ? plan.id : null;
+}
+
+// true if any of offerPlanIds (canonical or legacy) points at the same plan as planId
+function planIdMatches(offerPlanIds, planId) {
+  const target = resolvePlanId(planId) || planId;
+  return (offerPlanIds || []).some((id) => (resolvePlanId(id) || id) === target);
+}
+
+function findEnterprisePlan(pkg) {
+  return PLANS.find((p) => p.segment === "enterprise" && p.enterprisePackage === String(pkg)) || null;
+}
+
+function findStarterProPlan(tier) {
+  return PLANS.find((p) => p.segment === "starterpro" && p.kind === "subscription" && p.tier === tier) || null;
+}
+
+function priceFromBook(prices, billingCycle, currency) {
+  if (typeof prices[billingCycle] === "number") return prices[billingCycle];
+
+  if (billingCycle === "yearly" && typeof prices.monthly === "number") {
+    return currencies.roundAmount(prices.monthly * 12 * (1 - YEARLY_DISCOUNT), currency);
+  }
+  return null;
+}
+
+// Base price (before GST) for one billing cycle in `currency` (default INR),
+// or null when the plan isn't sold that way
+function getBasePrice(planId, billingCycle, currency = currencies.BASE_CURRENCY) {
+  const plan = findPlan(planId);
+  if (!plan || !(plan.billingCycles || []).includes(billingCycle)) return null;
+
+  const inr = priceFromBook(plan.prices || {}, billingCycle, currencies.BASE_CURRENCY);
+  if (currency === currencies.BASE_CURRENCY || inr === null) return inr;
+
+  const book = (plan.pricesByCurrency || {})[currency];
+  const booked = book ? priceFromBook(book, billingCycle, currency) : null;
+  return booked !== null ? booked : currencies.convertPrice(inr, currency);
+}
+
+// true when at least one priced plan can be sold in `currency`
+function isCurrencySold(currency) {
+  return PLANS.some((p) => (p.billingCycles || []).some((bt) => getBasePrice(p.id, bt, currency) !== null));
+}
+
+function isPriced(plan) {
+  return (plan.billingCycles || []).some((bt) => getBasePrice(plan.id, bt) !== null);
+}
+
+module.exports = {
+  YEARLY_DISCOUNT,
+  PLANS,
+  findPlan,
+  resolvePlanId,
+  legacyPlanId,
+  planIdMatches,
+  findEnterprisePlan,
+  findStarterProPlan,
+  getBasePrice,
+  isPriced,
+  isCurrencySold,
+};
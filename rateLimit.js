@@ -0,0 +1,114 @@
+// rateLimit.js
+// Request rate limits and progressive lockouts (coupon guessing, bad admin keys)
+//
+// Both keep one small document per key in a store with the same synchronous interface:
+//   get(id) -> doc | null,  update(id, fn) -> fn(doc | null) returns the new doc (null removes it),
+//   sweep(now) -> drops expired docs
+// Stores:
+//   createMemoryCounterStore()          – per process (single instance / dev)
+//   createDocumentCounterStore(storage) – storage.js collection "rate_limits"; shared by every
+//                                         instance when the backend is sqlite
+
+function createMemoryCounterStore() {
+  const docs = new Map();
+  return {
+    get: (id) => docs.get(id) || null,
+    update(id, fn) {
+      const next = fn(docs.get(id) || null);
+      if (next) docs.set(id, next);
+      else docs.delete(id);
+      return next;
+    },
+    sweep(now = Date.now()) {
+      docs.forEach((doc, id) => {
+        if (doc.expiresAt <= now) docs.delete(id);
+      });
+    },
+  };
+}
+
+function createDocumentCounterStore(storage, collection = "rate_limits") {
+  return {
+    get: (id) => storage.get(collection, id),
+    update(id, fn) {
+      // load → change → save in one transaction (BEGIN IMMEDIATE on SQLite), so instances don't lose counts
+      return storage.transaction(() => {
+        const next = fn(storage.get(collection, id));
+        if (next) storage.put(collection, { ...next, id });
+        else storage.remove(collection, id);
+        return next;
+      });
+    },
+    sweep(now = Date.now()) {
+      storage.list(collection).forEach((doc) => {
+        if (!doc.expiresAt || doc.expiresAt <= now) storage.remove(collection, doc.id);
+      });
+    },
+  };
+}
+
+const secondsUntil = (ts, now) => Math.max(1, Math.ceil((ts - now) / 1000));
+
+/**
+ * Fixed-window counter: at most `limit` hits per `windowMs` per key.
+ * hit(key) → { allowed, limit, remaining, retryAfterSeconds }
+ */
+function createRateLimiter({ store, name, limit, windowMs }) {
+  return {
+    name,
+    limit,
+    hit(key, now = Date.now()) {
+      const doc = store.update(`${name}:${key}`, (current) => {
+        const fresh = !current || current.expiresAt <= now;
+        return { count: fresh ? 1 : current.count + 1, expiresAt: fresh ? now + windowMs : current.expiresAt };
+      });
+      return {
+        allowed: doc.count <= limit,
+        limit,
+        remaining: Math.max(0, limit - doc.count),
+        retryAfterSeconds: doc.count <= limit ? 0 : secondsUntil(doc.expiresAt, now),
+      };
+    },
+  };
+}
+
+/**
+ * Progressive lockout: `threshold` failures (within `resetMs` of each other) lock the key for
+ * baseLockMs, and every further failure doubles the lock, up to maxLockMs.
+ * check(key) → { locked, retryAfterSeconds }; fail(key) → same after counting; succeed(key) clears.
+ */
+function createLockout({ store, name, threshold, baseLockMs, maxLockMs, resetMs }) {
+  const id = (key) => `${name}:${key}`;
+
+  function state(doc, now) {
+    if (!doc || !doc.lockedUntil || doc.lockedUntil <= now) return { locked: false, retryAfterSeconds: 0 };
+    return { locked: true, retryAfterSeconds: secondsUntil(doc.lockedUntil, now) };
+  }
+
+  return {
+    name,
+    check(key, now = Date.now()) {
+      const doc = store.get(id(key));
+      return state(doc && doc.expiresAt > now ? doc : null, now);
+    },
+    fail(key, now = Date.now()) {
+      const doc = store.update(id(key), (current) => {
+        const failures = current && current.expiresAt > now ? current.failures + 1 : 1;
+        const over = failures - threshold;
+        const lockedUntil = over >= 0 ? now + Math.min(baseLockMs * 2 ** over, maxLockMs) : null;
+        return { failures, lockedUntil, expiresAt: Math.max(now + resetMs, lockedUntil || 0) };
+      });
+      return state(doc, now);
+    },
+    succeed(key) {
+      store.update(id(key), () => null);
+    },
+  };
+}
+
+module.exports = {
+  createMemoryCounterStore,
+  createDocumentCounterStore,
+  createRateLimiter,
+  createLockout,
+};
@@ -14,35 +14,163 @@ const crypto = require("crypto");
 const fetch = require("node-fetch");
 const axios = require("axios"); // (kept, in case used elsewhere)
 
+const catalog = require("./plansConfig");
+const currencies = require("./currencies");
+const countries = require("./countries");
+const { createTaxEngine, loadTaxRules, taxLines } = require("./tax");
+const { createStorage } = require("./storage");
+const invoicing = require("./invoices");
+const gst = require("./gst");
+const csv = require("./csv");
+const adminAuth = require("./adminAuth");
+const rateLimiting = require("./rateLimit");
+const v = require("./validation");
+const { createGstinVerifier, loadGstinStubs } = require("./gstVerification");
+
 // ---------------------------------------------------------------------
-//  ADMIN SECRET
+//  ADMIN SECRET (bootstrap only — see ADMIN AUTH below; never log it)
 // ---------------------------------------------------------------------
 const ADMIN_OFFERS_SECRET = process.env.ADMIN_OFFERS_SECRET;
 
-// NOTE: Logging secrets is risky. If you don't need this anymore, remove it.
-console.log("[ADMIN] EXPECTED SECRET VALUE =", JSON.stringify(ADMIN_OFFERS_SECRET));
-
-// Where offers will be stored (used by admin panel & public offer validation)
+// Legacy offers file (json backend keeps using it; sqlite imports it once on boot)
 const OFFERS_FILE = path.join(__dirname, "offers.json");
 
 // ---------------------------------------------------------------------
-//  ADMIN AUTH MIDDLEWARE (OFFERS)
+//  STORAGE (offers, ledger, invoices, keys, thank-you contracts, fulfilment + webhook dedupe, ...)
+//  STORAGE_BACKEND=sqlite for production / multiple instances;
+//  default "json" keeps every collection in JSON files under DATA_DIR (single instance).
+//  "memory" loses everything on restart: refused when NODE_ENV=production.
+// ---------------------------------------------------------------------
+const storage = createStorage({
+  backend: process.env.STORAGE_BACKEND || "json",
+  dataDir: process.env.DATA_DIR || __dirname,
+  sqliteFile: process.env.SQLITE_FILE,
+});
+
+if (!storage.durable && process.env.NODE_ENV === "production") {
+  throw new Error(
+    `STORAGE_BACKEND=${storage.backend} keeps orders, invoices and admin keys in memory only; ` +
+      "use sqlite (or json) in production"
+  );
+}
+
+console.log(`[STORAGE] Using ${storage.backend} backend`);
+
+// Collections whose documents expire (timestamp field + TTL). A background sweep drops them
+// every EXPIRED_DOCS_SWEEP_MS, so request paths never list a whole collection.
+const EXPIRED_DOCS_SWEEP_MS = 5 * 60 * 1000;
+const EXPIRING_COLLECTIONS = [];
+
+function expireDocs(collection, tsField, ttlMs) {
+  EXPIRING_COLLECTIONS.push({ collection, tsField, ttlMs });
+}
+
+function sweepExpiredDocs(now = Date.now()) {
+  EXPIRING_COLLECTIONS.forEach(({ collection, tsField, ttlMs }) => {
+    try {
+      storage.removeExpired(collection, tsField, now - ttlMs);
+    } catch (err) {
+      console.error(`[STORAGE] Sweeping ${collection} failed:`, err.message);
+    }
+  });
+}
+
+setImmediate(sweepExpiredDocs);
+setInterval(sweepExpiredDocs, EXPIRED_DOCS_SWEEP_MS).unref();
+
+// ---------------------------------------------------------------------
+//  ADMIN AUTH (per-user API keys + roles, see adminAuth.js)
+//  Send the key as `Authorization: Bearer vvas_key_..._...` (or the x-admin-secret header).
+//  Every /api/admin/* route asks for a scope; roles: viewer, offers-editor, finance, admin.
+//  Keys live in storage ("admin_keys"), so creating / rotating / revoking one
+//  (/api/admin/keys) takes effect on every instance without a restart, and survives one
+//  (json: DATA_DIR/data/admin_keys.json; the "memory" backend loses them, so it is dev only).
+//  ADMIN_OFFERS_SECRET still works as a bootstrap key with the admin role:
+//  use it to create the first per-user keys, then unset it.
 // ---------------------------------------------------------------------
-function requireAdminSecret(req, res, next) {
-  const headerSecret = req.headers["x-admin-secret"] || "";
+// { id, name, role, secretHash, createdAt, createdBy, rotatedAt, revokedAt, lastUsedAt }
+const ADMIN_KEYS = "admin_keys";
+const ADMIN_KEY_LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+if (!storage.durable) {
+  console.warn(`[ADMIN] STORAGE_BACKEND=${storage.backend}: admin keys are lost on restart.`);
+}
+if (ADMIN_OFFERS_SECRET) {
+  console.warn("[ADMIN] ADMIN_OFFERS_SECRET is set: it grants the admin role. Prefer per-user keys (/api/admin/keys).");
+}
+
+function presentedAdminKey(req) {
+  const auth = String(req.headers.authorization || "");
+  if (/^Bearer\s+/i.test(auth)) return auth.replace(/^Bearer\s+/i, "").trim();
+  return String(req.headers["x-admin-secret"] || "").trim();
+}
 
-  console.log("[ADMIN] Incoming x-admin-secret =", JSON.stringify(headerSecret));
+// → { id, name, role } or null. Never logs what was presented.
+function verifyAdminKey(presented) {
+  const parsed = adminAuth.parseApiKey(presented);
+  if (parsed) {
+    const record = storage.get(ADMIN_KEYS, parsed.id);
+    if (!record || record.revokedAt || !adminAuth.secretMatchesHash(parsed.secret, record.secretHash)) return null;
 
-  if (!headerSecret) {
-    return res.status(401).json({ error: "Unauthorized: missing admin secret" });
+    if (!record.lastUsedAt || Date.now() - new Date(record.lastUsedAt).getTime() > ADMIN_KEY_LAST_USED_RESOLUTION_MS) {
+      storage.put(ADMIN_KEYS, { ...record, lastUsedAt: new Date().toISOString() });
+    }
+    return { id: record.id, name: record.name, role: record.role };
   }
 
-  if (headerSecret !== ADMIN_OFFERS_SECRET) {
-    console.warn("[ADMIN] Invalid admin secret.");
-    return res.status(401).json({ error: "Unauthorized: invalid admin secret" });
+  if (ADMIN_OFFERS_SECRET && timingSafeEqualStr(presented, ADMIN_OFFERS_SECRET)) {
+    return { id: "bootstrap", name: "bootstrap", role: "admin" };
   }
+  return null;
+}
 
-  next();
+// → { admin } (null when no / a bad key was sent), or { admin: null, retryAfterSeconds } for a bad key
+// while the caller's IP is locked out. A valid key always gets in: the lockout only slows down guessing,
+// so an IP shared with a guesser (office NAT, a proxy without TRUST_PROXY) can't lock real admins out.
+function authenticateAdmin(req) {
+  const presented = presentedAdminKey(req);
+  if (!presented) return { admin: null };
+
+  const admin = verifyAdminKey(presented);
+  if (admin) return { admin };
+
+  // Locked: refuse without counting, so the lock doesn't keep doubling while the guesser waits
+  const lock = adminLockout.check(`ip:${req.ip}`);
+  if (lock.locked) return { admin: null, retryAfterSeconds: lock.retryAfterSeconds };
+
+  adminLockout.fail(`ip:${req.ip}`);
+  console.warn(`[ADMIN] Rejected admin key on ${req.method} ${req.path} from ${req.ip}`);
+  return { admin: null };
+}
+
+// Route guard: 401 without a valid key, 403 when the key's role lacks the scope,
+// 429 after repeated bad keys from the same IP (see RATE LIMITS)
+function requireAdmin(scope) {
+  return (req, res, next) => {
+    if (!presentedAdminKey(req)) {
+      return sendError(res, 401, "UNAUTHORIZED", "Unauthorized: missing admin key");
+    }
+
+    const { admin, retryAfterSeconds } = authenticateAdmin(req);
+    if (retryAfterSeconds) {
+      return tooManyRequests(res, retryAfterSeconds, "Too many invalid admin keys. Please try again later.");
+    }
+    if (!admin) {
+      return sendError(res, 401, "UNAUTHORIZED", "Unauthorized: invalid admin key");
+    }
+    if (!adminAuth.roleHasScope(admin.role, scope)) {
+      return sendError(res, 403, "FORBIDDEN", `Forbidden: role "${admin.role}" lacks the ${scope} scope`);
+    }
+
+    req.admin = admin;
+    next();
+  };
+}
+
+// Non-blocking check for routes that only unlock extra options for some admins
+function isAdminRequest(req, scope = "orders:raw_amount") {
+  const { admin } = authenticateAdmin(req);
+  return !!admin && adminAuth.roleHasScope(admin.role, scope);
 }
 
 // ---------------------------------------------------------------------
@@ -50,10 +178,254 @@ function requireAdminSecret(req, res, next) {
 // ---------------------------------------------------------------------
 const app = express();
 
-app.use(express.json());
+// Keep the raw body around: Razorpay webhook signatures are computed over the exact bytes sent.
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 app.use(cors());
 
+// Behind a proxy / CDN, req.ip is only the client's address when Express trusts the proxy:
+// TRUST_PROXY=1 (hops), =true, or a subnet list ("loopback, 10.0.0.0/8")
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set("trust proxy", /^\d+$/.test(trust) ? Number(trust) : trust === "true" ? true : trust);
+}
+
+// ---------------------------------------------------------------------
+//  ERROR RESPONSES + REQUEST SCHEMAS (see validation.js)
+//  Every error response: { success: false, error: { code, message, ...extra } }
+//  - code: stable and machine-readable (VALIDATION_FAILED, NOT_FOUND, RATE_LIMITED, ...)
+//  - message: safe to show; exception messages stay in the server logs
+//  - fields: [{ field, code, message }] on VALIDATION_FAILED, one per bad field
+//  Routes declare what they accept with validateRequest({ body, query }).
+//  Versioned responses (thank-you contract) set res.locals.errorEnvelope = { version: "v1" };
+//  the verify routes set { provider, verified: false } (razorpayVerifyEnvelope).
+// ---------------------------------------------------------------------
+function sendError(res, status, code, message, extra = {}) {
+  return res.status(status).json({ ...res.locals.errorEnvelope, success: false, error: { code, message, ...extra } });
+}
+
+function validationFailed(res, fields, message = "Some fields are missing or invalid.") {
+  return sendError(res, 400, "VALIDATION_FAILED", message, { fields });
+}
+
+// One field problem as a complete 400 (checks that need the catalog / stored data)
+function invalidField(res, field, code, message) {
+  return validationFailed(res, [v.problem(field, code, message)], message);
+}
+
+function validateRequest({ body, query }) {
+  return (req, res, next) => {
+    const fields = [...(query ? v.validate(query, req.query) : []), ...(body ? v.validate(body, req.body) : [])];
+    if (fields.length) return validationFailed(res, fields);
+    next();
+  };
+}
+
+// Shared field rules
+const planIdField = (required = false) => v.string({ required, max: 80 });
+const couponField = () => v.string({ max: 64 });
+const currencyField = () => v.string({ pattern: /^[A-Za-z]{3}$/, patternMessage: "must be a 3-letter currency code" });
+const countryField = () =>
+  v.custom({
+    test: (value) => typeof value === "string" && value.length <= 60 && countries.countryCode(value) !== null,
+    message: "must be a country name or ISO code (e.g. India, IN)",
+  });
+const billingTypeField = () =>
+  v.string({ oneOf: ["monthly", "yearly", "subscription", "one_time"], ignoreCase: true });
+
+// Who is buying: identifies the customer for per-customer coupons and the order notes
+const customerFields = () => ({
+  fullName: v.string({ max: 120 }),
+  email: v.email(),
+  mobileCountryCode: v.countryCallingCode(),
+  mobileNumber: v.phone(),
+});
+
+// mobileCountryCode + mobileNumber → one number; a number sent with its own "+country code" is kept as is
+function fullPhone(countryCode, number) {
+  const local = String(number || "").trim();
+  return local.startsWith("+") ? local : `${countryCode || ""}${local}`;
+}
+
+// Billing address + GST registration (enterprise checkout, generic order notes)
+const billingFields = () => ({
+  company: v.string({ max: 200 }),
+  gstStatus: v.string({ oneOf: ["yes", "no"] }),
+  gstNumber: v.string({ max: 20 }), // format, checksum and state: billingProblems
+  taxId: v.string({ max: 30 }), // businesses outside India: VAT / tax registration number (reverse charge)
+  city: v.string({ max: 100 }),
+  state: v.string({ max: 100 }),
+  postalCode: v.string({ max: 12 }),
+});
+
+const GSTIN_PROBLEMS = {
+  FORMAT: "gstNumber must be a 15-character GSTIN (e.g. 27AAPFU0939F1ZV)",
+  STATE_CODE: "gstNumber must start with a valid GST state code",
+  CHECKSUM: "gstNumber is not a valid GSTIN (check character mismatch), please re-check it",
+};
+
+// GST-registered buyers: a well-formed GSTIN whose state (first two digits) matches the billing state
+function gstinProblems(input) {
+  if (!String(input.gstNumber || "").trim()) {
+    return [v.problem("gstNumber", "REQUIRED", "GSTIN is required when registered with GST.")];
+  }
+  const checked = gst.checkGstin(input.gstNumber);
+  if (!checked.valid) return [v.problem("gstNumber", "INVALID_FORMAT", GSTIN_PROBLEMS[checked.reason])];
+
+  const country = countries.countryCode(input.country);
+  if (country && country !== "IN") {
+    return [v.problem("country", "MISMATCH", "A GSTIN is only issued in India; businesses elsewhere send taxId")];
+  }
+
+  const stateCode = gst.stateCodeFromName(input.state);
+  if (stateCode && stateCode !== checked.stateCode) {
+    const message =
+      `state ${gst.stateName(stateCode)} doesn't match the GSTIN, which is registered in ` +
+      `${gst.stateName(checked.stateCode)} (state code ${checked.stateCode})`;
+    return [v.problem("state", "MISMATCH", message)];
+  }
+  return [];
+}
+
+// Cross-field rules of billingFields: GST-registered buyers name their company + GSTIN; Indian PIN codes
+function billingProblems(input) {
+  const problems = [];
+  if (input.gstStatus === "yes") {
+    if (!String(input.company || "").trim()) {
+      problems.push(v.problem("company", "REQUIRED", "Company / Brand name is required when registered with GST."));
+    }
+    problems.push(...gstinProblems(input));
+  }
+  const postalCode = String(input.postalCode || "").trim();
+  const isIndia = countries.countryCode(input.country) === "IN";
+  if (postalCode && !(isIndia ? /^[1-9]\d{5}$/ : /^[A-Za-z0-9][A-Za-z0-9 -]{1,10}$/).test(postalCode)) {
+    const message = isIndia ? "postalCode must be a 6-digit PIN code" : "postalCode is invalid";
+    problems.push(v.problem("postalCode", "INVALID_FORMAT", message));
+  }
+  return problems;
+}
+
+// Admin list routes: ?from=&to=&limit=&offset=
+const listQueryFields = () => ({
+  from: v.isoDate(),
+  to: v.isoDate(),
+  limit: v.number({ integer: true, min: 1 }),
+  offset: v.number({ integer: true, min: 0 }),
+});
+
+// ---------------------------------------------------------------------
+//  RATE LIMITS + LOCKOUTS (see rateLimit.js)
+//  - public quote / coupon routes: RATE_LIMIT_QUOTES_PER_MINUTE per IP (default 30)
+//  - order creation: RATE_LIMIT_ORDERS_PER_HOUR per IP (default 30) and
+//    RATE_LIMIT_ORDERS_PER_HOUR_PER_EMAIL per customer email (default 10)
+//  - unknown coupon codes: COUPON_LOCKOUT_THRESHOLD guesses per IP (default 5) lock coupon use
+//    for COUPON_LOCKOUT_BASE_SECONDS (default 60), doubling per further guess, max 1h
+//    (a real code that doesn't apply isn't a guess; the email is the customer's claim, not a key)
+//  - bad admin keys: ADMIN_LOCKOUT_THRESHOLD per IP (default 5), same progression
+//  A limit of 0 turns that limiter off. Limited requests get 429 + Retry-After.
+//  Every limit is per req.ip: behind a proxy / load balancer set TRUST_PROXY (see EXPRESS APP),
+//  otherwise all clients share the proxy's address and one busy IP limits everybody (warned at boot).
+//  RATE_LIMIT_STORE=memory (per instance) | shared (storage collection "rate_limits");
+//  default: shared on the sqlite backend, memory otherwise.
+// ---------------------------------------------------------------------
+const envCount = (name, fallback) => (process.env[name] === undefined ? fallback : Number(process.env[name]) || 0);
+
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || (storage.backend === "sqlite" ? "shared" : "memory");
+const rateLimitStore =
+  RATE_LIMIT_STORE === "shared"
+    ? rateLimiting.createDocumentCounterStore(storage)
+    : rateLimiting.createMemoryCounterStore();
+
+setInterval(() => rateLimitStore.sweep(), 5 * 60 * 1000).unref();
+
+function limiterFor(name, limit, windowMs) {
+  return limit > 0 ? rateLimiting.createRateLimiter({ store: rateLimitStore, name, limit, windowMs }) : null;
+}
+
+function lockoutFor(name, threshold) {
+  const baseSeconds = envCount(`${name.toUpperCase()}_LOCKOUT_BASE_SECONDS`, 60);
+  return rateLimiting.createLockout({
+    store: rateLimitStore,
+    name: `${name}_lockout`,
+    // threshold 0 = off: nobody ever reaches it
+    threshold: threshold > 0 ? threshold : Infinity,
+    baseLockMs: baseSeconds * 1000,
+    maxLockMs: 60 * 60 * 1000,
+    resetMs: 60 * 60 * 1000,
+  });
+}
+
+const quoteLimiter = limiterFor("quotes_ip", envCount("RATE_LIMIT_QUOTES_PER_MINUTE", 30), 60 * 1000);
+const orderIpLimiter = limiterFor("orders_ip", envCount("RATE_LIMIT_ORDERS_PER_HOUR", 30), 60 * 60 * 1000);
+const orderEmailLimiter = limiterFor(
+  "orders_email",
+  envCount("RATE_LIMIT_ORDERS_PER_HOUR_PER_EMAIL", 10),
+  60 * 60 * 1000
+);
+const couponLockout = lockoutFor("coupon", envCount("COUPON_LOCKOUT_THRESHOLD", 5));
+const adminLockout = lockoutFor("admin", envCount("ADMIN_LOCKOUT_THRESHOLD", 5));
+
+const ipLimitsEnabled =
+  quoteLimiter ||
+  orderIpLimiter ||
+  envCount("COUPON_LOCKOUT_THRESHOLD", 5) > 0 ||
+  envCount("ADMIN_LOCKOUT_THRESHOLD", 5) > 0;
+if (ipLimitsEnabled && !process.env.TRUST_PROXY) {
+  console.warn("[RATE LIMIT] TRUST_PROXY not set; behind a proxy every client shares its IP for the per-IP limits.");
+}
+
+function tooManyRequests(res, retryAfterSeconds, message = "Too many requests. Please try again later.") {
+  res.set("Retry-After", String(retryAfterSeconds));
+  return sendError(res, 429, "RATE_LIMITED", message, { retryAfterSeconds });
+}
+
+// Customer email from the body (enterprise / starter-pro) or the generic route's notes
+function requestEmail(req) {
+  const body = req.body || {};
+  const email = body.email || (body.notes && body.notes.email);
+  return email ? String(email).trim().toLowerCase() : null;
+}
+
+// rules: [[limiter, (req) => key | null]]; every rule counts the request
+function rateLimit(...rules) {
+  return (req, res, next) => {
+    for (const [limiter, keyOf] of rules) {
+      const key = limiter && keyOf(req);
+      if (!key) continue;
+      const result = limiter.hit(key);
+      if (!result.allowed) return tooManyRequests(res, result.retryAfterSeconds);
+    }
+    next();
+  };
+}
+
+const quoteRateLimit = rateLimit([quoteLimiter, (req) => req.ip]);
+const orderRateLimit = rateLimit([orderIpLimiter, (req) => req.ip], [orderEmailLimiter, requestEmail]);
+
+// Requests that carry a coupon are refused while their IP is locked out
+function couponLockoutGuard(req, res, next) {
+  const body = req.body || {};
+  if (!body.coupon && !body.couponCode) return next();
+
+  const lock = couponLockout.check(`ip:${req.ip}`);
+  if (lock.locked) {
+    return tooManyRequests(res, lock.retryAfterSeconds, "Too many invalid coupon attempts. Please try again later.");
+  }
+  next();
+}
+
+// Call with validateOfferForPlan's result: only unknown codes (guesses) count towards the lockout
+function noteCouponAttempt(req, result) {
+  if (!result || result.reason !== "NOT_FOUND") return;
+  couponLockout.fail(`ip:${req.ip}`);
+}
+
 // ---------------------------------------------------------------------
 //  THANK-YOU SIGNATURE HELPERS (v1)
 // ---------------------------------------------------------------------
@@ -96,36 +468,28 @@ function joinUrl(base, p) {
 }
 
 // ---------------------------------------------------------------------
-//  THANK-YOU CONTRACT STORE (v1) — in-memory with TTL
-//  (v1 rollout: fast + simple; swap to DB later if needed)
+//  THANK-YOU CONTRACT STORE (v1) — storage collection with TTL
 // ---------------------------------------------------------------------
 const THANKYOU_CONTRACT_TTL_MS = 30 * 60 * 1000; // 30 minutes
-const thankYouContractStore = new Map(); // key -> { storedAt, contract }
+const THANKYOU_CONTRACTS = "thank_you_contracts"; // { id: key, storedAt, contract }
 
 function makeThankYouKey({ order_id, payment_id }) {
   return `v1|order_id=${order_id}|payment_id=${payment_id}`;
 }
 
-function purgeThankYouContracts() {
-  const now = Date.now();
-  for (const [k, v] of thankYouContractStore.entries()) {
-    if (!v?.storedAt || now - v.storedAt > THANKYOU_CONTRACT_TTL_MS) {
-      thankYouContractStore.delete(k);
-    }
-  }
-}
+expireDocs(THANKYOU_CONTRACTS, "storedAt", THANKYOU_CONTRACT_TTL_MS);
 
 function storeThankYouContract({ order_id, payment_id, contract }) {
-  purgeThankYouContracts();
   const key = makeThankYouKey({ order_id, payment_id });
-  thankYouContractStore.set(key, { storedAt: Date.now(), contract });
+  storage.put(THANKYOU_CONTRACTS, { id: key, storedAt: Date.now(), contract });
 }
 
 function getThankYouContract({ order_id, payment_id }) {
-  purgeThankYouContracts();
   const key = makeThankYouKey({ order_id, payment_id });
-  const found = thankYouContractStore.get(key);
-  return found?.contract || null;
+  const found = storage.get(THANKYOU_CONTRACTS, key);
+  // the sweep runs every few minutes: don't serve a contract that expired since
+  if (!found || Date.now() - found.storedAt > THANKYOU_CONTRACT_TTL_MS) return null;
+  return found.contract || null;
 }
 
 // ---------------------------------------------------------------------
@@ -136,8 +500,6 @@ const razorpay = new Razorpay({
   key_secret: process.env.RAZORPAY_KEY_SECRET,
 });
 
-const N8N_ONETIME_WEBHOOK_URL = process.env.N8N_ONETIME_WEBHOOK_URL;
-
 // ---------------------------------------------------------------------
 //  PUBLIC CONFIG (SAFE): exposes only Razorpay public key_id + env
 // ---------------------------------------------------------------------
@@ -145,10 +507,7 @@ app.get("/api/public-config", (req, res) => {
   const keyId = process.env.RAZORPAY_KEY_ID;
 
   if (!keyId) {
-    return res.status(500).json({
-      success: false,
-      error: { code: "MISSING_KEY_ID", message: "RAZORPAY_KEY_ID not set" },
-    });
+    return sendError(res, 500, "MISSING_KEY_ID", "RAZORPAY_KEY_ID not set");
   }
 
   return res.json({
@@ -162,341 +521,799 @@ app.get("/api/public-config", (req, res) => {
 // ---------------------------------------------------------------------
 //  OFFERS STORAGE HELPERS
 // ---------------------------------------------------------------------
-function loadOffers() {
-  try {
-    if (!fs.existsSync(OFFERS_FILE)) return [];
-    const raw = fs.readFileSync(OFFERS_FILE, "utf8");
-    if (!raw.trim()) return [];
-    const parsed = JSON.parse(raw);
-    const arr = Array.isArray(parsed) ? parsed : [];
+// Fills canonical fields from legacy ones (enabled, startAt/endAt, applicablePlans, ...)
+function normalizeOffer(o) {
+  const offer = { ...o };
 
-    return arr.map((o) => {
-      const offer = { ...o };
+  if (offer.active === undefined && typeof offer.enabled === "boolean") {
+    offer.active = offer.enabled;
+  }
+  if (offer.active === undefined) {
+    offer.active = true;
+  }
 
-      if (offer.active === undefined && typeof offer.enabled === "boolean") {
-        offer.active = offer.enabled;
-      }
-      if (offer.active === undefined) {
-        offer.active = true;
-      }
+  if (!offer.validity) {
+    offer.validity = {
+      start: offer.startAt || null,
+      end: offer.endAt || null,
+    };
+  }
 
-      if (!offer.validity) {
-        offer.validity = {
-          start: offer.startAt || null,
-          end: offer.endAt || null,
-        };
-      }
+  if (!offer.appliesTo) {
+    offer.appliesTo = {
+      plans: Array.isArray(offer.applicablePlans) ? offer.applicablePlans : [],
+      billingTypes: Array.isArray(offer.billingTypes) ? offer.billingTypes : [],
+      countries: Array.isArray(offer.countries) ? offer.countries : [],
+    };
+  } else {
+    if (!Array.isArray(offer.appliesTo.plans)) offer.appliesTo.plans = [];
+    if (!Array.isArray(offer.appliesTo.billingTypes)) offer.appliesTo.billingTypes = [];
+    if (!Array.isArray(offer.appliesTo.countries)) offer.appliesTo.countries = [];
+  }
 
-      if (!offer.appliesTo) {
-        offer.appliesTo = {
-          plans: Array.isArray(offer.applicablePlans) ? offer.applicablePlans : [],
-          billingTypes: Array.isArray(offer.billingTypes) ? offer.billingTypes : [],
-          countries: Array.isArray(offer.countries) ? offer.countries : [],
-        };
-      } else {
-        if (!Array.isArray(offer.appliesTo.plans)) offer.appliesTo.plans = [];
-        if (!Array.isArray(offer.appliesTo.billingTypes)) offer.appliesTo.billingTypes = [];
-        if (!Array.isArray(offer.appliesTo.countries)) offer.appliesTo.countries = [];
-      }
+  if (offer.type) offer.type = String(offer.type).toUpperCase();
+
+  if (offer.amount !== undefined) offer.amount = Number(offer.amount);
 
-      if (offer.type) offer.type = String(offer.type).toUpperCase();
+  if (offer.usageLimit !== null && offer.usageLimit !== undefined) {
+    offer.usageLimit = Number(offer.usageLimit);
+  } else {
+    offer.usageLimit = null;
+  }
 
-      if (offer.amount !== undefined) offer.amount = Number(offer.amount);
+  if (offer.used === undefined) offer.used = 0;
+  else offer.used = Number(offer.used) || 0;
 
-      if (offer.usageLimit !== null && offer.usageLimit !== undefined) {
-        offer.usageLimit = Number(offer.usageLimit);
-      } else {
-        offer.usageLimit = null;
-      }
+  offer.perCustomerLimit = Number(offer.perCustomerLimit) || null;
+  offer.newCustomersOnly = offer.newCustomersOnly === true;
 
-      if (offer.used === undefined) offer.used = 0;
-      else offer.used = Number(offer.used) || 0;
+  if (!Array.isArray(offer.reservations)) offer.reservations = [];
 
-      if (!offer.description && offer.notes) offer.description = offer.notes;
+  if (!offer.description && offer.notes) offer.description = offer.notes;
 
-      return offer;
-    });
+  return offer;
+}
+
+function loadOffers() {
+  try {
+    return storage.list("offers").map(normalizeOffer);
   } catch (err) {
-    console.error("Error reading offers.json", err);
+    console.error("Error reading offers", err);
     return [];
   }
 }
 
 function saveOffers(offersArray) {
   try {
-    fs.writeFileSync(OFFERS_FILE, JSON.stringify(offersArray, null, 2), "utf8");
-    console.log("offers.json updated. Total offers:", offersArray.length);
+    storage.replaceAll("offers", offersArray);
+    console.log("Offers saved. Total offers:", offersArray.length);
   } catch (err) {
-    console.error("Error writing offers.json", err);
+    console.error("Error writing offers", err);
     throw err;
   }
 }
 
-// ---------------------------------------------------------------------
-//  ONE-TIME PLAN PRICING + OFFER LOGIC
-// ---------------------------------------------------------------------
-const ONE_TIME_PLAN_PRICES = {
-  PLAN_CALL: 5000,
-  PLAN_60: 40000,
-  PLAN_90: 50000,
-  PLAN_120: 55000,
-};
+// Unique codes generated under a campaign offer (see OFFER CAMPAIGNS below).
+// { code, campaignCode, usageLimit, used, active, reservations, createdAt }
+const OFFER_CODES = "offer_codes";
 
-const STARTER_PRO_PLAN_PRICES = {
-  SP_STARTER: 15000,
-  SP_PRO: 30000,
-};
+function loadCampaignCodes(campaignCode) {
+  return storage.list(OFFER_CODES).filter((c) => c.campaignCode === campaignCode);
+}
 
-function computeOneTimePrice(planId, customBasePrice) {
-  let base = ONE_TIME_PLAN_PRICES[planId] ?? 0;
-  if (typeof customBasePrice === "number" && customBasePrice > 0) {
-    base = customBasePrice;
+// A campaign code redeems as its parent offer with the code's own counters / limit.
+// The parent of a campaign is a template only: its own code can't be redeemed.
+function findOffer(couponCode) {
+  const code = String(couponCode || "").trim().toUpperCase();
+  if (!code) return null;
+
+  // Lookups by id: no full scan of offers / codes per quote
+  const stored = storage.get("offers", code);
+  if (stored) return stored.isCampaign ? null : normalizeOffer(stored);
+
+  const codeDoc = storage.get(OFFER_CODES, code);
+  if (!codeDoc) {
+    // Legacy offers.json entries may not be upper-cased
+    const legacy = loadOffers().find((o) => (o.code || "").toUpperCase() === code);
+    return legacy && !legacy.isCampaign ? legacy : null;
   }
-  const gst = Math.round(base * 0.18);
-  const total = base + gst;
-  return { base, gst, total };
+  const storedParent = storage.get("offers", codeDoc.campaignCode);
+  if (!storedParent) return null;
+  const parent = normalizeOffer(storedParent);
+
+  return {
+    ...parent,
+    code: codeDoc.code,
+    campaignCode: parent.code,
+    active: !!parent.active && codeDoc.active !== false,
+    usageLimit: codeDoc.usageLimit === null || codeDoc.usageLimit === undefined ? null : Number(codeDoc.usageLimit),
+    used: Number(codeDoc.used) || 0,
+    reservations: Array.isArray(codeDoc.reservations) ? codeDoc.reservations : [],
+  };
 }
 
+// Single-offer write (usage counters) — avoids rewriting every offer.
+// Campaign codes only write their own counters back.
+function saveOffer(offer) {
+  if (offer.campaignCode) {
+    const codeDoc = storage.get(OFFER_CODES, offer.code);
+    if (codeDoc) storage.put(OFFER_CODES, { ...codeDoc, used: offer.used, reservations: offer.reservations });
+    return;
+  }
+  storage.put("offers", offer);
+}
+
+// One-time import of the legacy offers.json into a non-json backend.
+// Offers are normalized on the way in; legacy fields are kept alongside.
+function migrateOffersFileToStorage() {
+  if (storage.backend === "json" || !fs.existsSync(OFFERS_FILE)) return;
+  if (storage.get("migrations", "offers_json_import")) return;
+
+  const raw = fs.readFileSync(OFFERS_FILE, "utf8");
+  const parsed = raw.trim() ? JSON.parse(raw) : [];
+  const offers = (Array.isArray(parsed) ? parsed : []).filter((o) => o && o.code).map(normalizeOffer);
+
+  storage.transaction(() => {
+    offers.forEach((offer) => {
+      offer.code = String(offer.code).trim().toUpperCase();
+      if (!storage.get("offers", offer.code)) storage.put("offers", offer);
+    });
+    storage.put("migrations", { id: "offers_json_import", at: new Date().toISOString(), count: offers.length });
+  });
+
+  console.log(`[STORAGE] Imported ${offers.length} offers from offers.json`);
+}
+
+migrateOffersFileToStorage();
+
 // ---------------------------------------------------------------------
-//  ENTERPRISE PLAN PRICING HELPERS
+//  PRICING (all prices come from the plansConfig.js catalog)
+//  Amounts are in major units of the checkout currency (₹, $, €...);
+//  currencies.toMinorUnits() turns them into Razorpay's `amount`.
+//  Tax comes from the tax engine (tax.js, TAX_RULES): the buyer's country, the plan and
+//  B2B registration (gstStatus "yes" / taxId) decide the treatment and rate.
+//  `gst` / `gstRate` keep their names in quotes and notes, whatever the tax is called.
 // ---------------------------------------------------------------------
-const ENTERPRISE_BASE_PRICES = {
-  "60": 40000,
-  "90": 50000,
-  "120": 55000,
-  consultation: 5000,
-};
+const taxEngine = createTaxEngine({ rules: loadTaxRules() });
 
-function computeEnterprisePrice(pkg, billingType, country) {
-  const baseMonthly = ENTERPRISE_BASE_PRICES[pkg];
-  if (!baseMonthly) throw new Error("Invalid enterprise package");
+// Orders priced before the tax engine have no taxRate note: their GST was always 18%
+const LEGACY_GST_RATE = 0.18;
 
-  let base = baseMonthly;
-  const bt = (billingType || "monthly").toLowerCase();
+function isBusinessBuyer({ gstStatus, taxId } = {}) {
+  return String(gstStatus || "").toLowerCase() === "yes" || String(taxId || "").trim() !== "";
+}
 
-  if (pkg === "consultation") {
-    base = ENTERPRISE_BASE_PRICES.consultation;
-  } else {
-    if (bt === "yearly") {
-      const yearlyBeforeDiscount = baseMonthly * 12;
-      base = Math.round(yearlyBeforeDiscount * 0.8);
-    } else {
-      base = baseMonthly;
-    }
-  }
+// buyer: { country, gstStatus?, taxId? } → taxEngine.taxFor() for this plan
+function taxForPlan(planId, buyer = {}) {
+  const plan = catalog.findPlan(planId);
+  return taxEngine.taxFor({
+    country: buyer.country,
+    business: isBusinessBuyer(buyer),
+    planId: plan ? plan.id : planId,
+    product: plan ? plan.product : undefined,
+  });
+}
 
-  const isIndia = (country || "").trim().toLowerCase() === "india";
-  const gst = isIndia ? Math.round(base * 0.18) : 0;
-  const total = base + gst;
+// List price + tax → { base, gst, total, gstRate, tax }
+function addTax(base, tax, currency) {
+  const gst = currencies.roundAmount(base * tax.rate, currency);
+  return { base, gst, total: base + gst, gstRate: tax.rate, tax };
+}
 
-  return { base, gst, total };
+// Checkout currency: explicit `currency` param, else the customer's country, else INR.
+// null when the requested currency isn't sold.
+function resolveCheckoutCurrency({ currency, country } = {}) {
+  if (currency !== undefined && currency !== null && String(currency).trim() !== "") {
+    const requested = currencies.normalizeCurrency(currency);
+    return requested && catalog.isCurrencySold(requested) ? requested : null;
+  }
+  const byCountry = currencies.currencyForCountry(country);
+  return byCountry && catalog.isCurrencySold(byCountry) ? byCountry : currencies.BASE_CURRENCY;
 }
 
-function getEnterprisePlanId(pkg, billingType) {
-  if (pkg === "consultation") return "ENT_CONSULTATION";
-  if (pkg === "60") return "ENT_60";
-  if (pkg === "90") return "ENT_90";
-  if (pkg === "120") return "ENT_120";
-  return "ENT_UNKNOWN";
+function unsupportedCurrencyError(currency) {
+  return `Currency ${String(currency).trim().toUpperCase()} is not supported.`;
 }
 
-// ---------------------------------------------------------------------
-//  CANONICAL PLAN LIST (for Offers Engine + /api/admin/plans)
-// ---------------------------------------------------------------------
-const PLANS_CONFIG = [
-  { id: "SP_STARTER", label: "Starter", allowedBilling: ["monthly", "yearly"], isConsultation: false },
-  { id: "SP_PRO", label: "Pro", allowedBilling: ["monthly", "yearly"], isConsultation: false },
-  { id: "ENT_60", label: "Enterprise 60", allowedBilling: ["monthly", "yearly"], isConsultation: false },
-  { id: "ENT_90", label: "Enterprise 90", allowedBilling: ["monthly", "yearly"], isConsultation: false },
-  { id: "ENT_120", label: "Enterprise 120", allowedBilling: ["monthly", "yearly"], isConsultation: false },
-  { id: "ENT_CONSULTATION", label: "Consultation (One-time)", allowedBilling: ["one_time"], isConsultation: true },
-];
+function computeOneTimePrice(planId, customBasePrice, buyer, currency = currencies.BASE_CURRENCY) {
+  let base = catalog.getBasePrice(planId, "one_time", currency) ?? 0;
+  if (typeof customBasePrice === "number" && customBasePrice > 0) {
+    base = customBasePrice;
+  }
+  return addTax(base, taxForPlan(planId, buyer), currency);
+}
 
-function deriveBillingTypesFromPlans(planIds = []) {
-  const uniqueIds = Array.from(new Set(planIds || []));
-  const selectedPlans = uniqueIds.map((id) => PLANS_CONFIG.find((p) => p.id === id)).filter(Boolean);
+function computeEnterprisePrice(pkg, billingType, buyer, currency = currencies.BASE_CURRENCY) {
+  const plan = catalog.findEnterprisePlan(pkg);
+  if (!plan) throw new Error("Invalid enterprise package");
+
+  const bt = (billingType || "monthly").toLowerCase();
+  const cycle = plan.isConsultation ? "one_time" : bt === "yearly" ? "yearly" : "monthly";
 
-  if (!selectedPlans.length) return [];
+  const base = catalog.getBasePrice(plan.id, cycle, currency);
+  if (base === null) throw new Error(`Enterprise package is not priced in ${currency}`);
 
-  const hasConsultation = selectedPlans.some((p) => p.isConsultation);
-  if (hasConsultation) return ["one_time"];
+  return addTax(base, taxForPlan(plan.id, buyer), currency);
+}
+
+// "60", "90", "120", "consultation"
+const ENTERPRISE_PACKAGES = catalog.PLANS.filter((p) => p.segment === "enterprise" && p.enterprisePackage).map(
+  (p) => p.enterprisePackage
+);
+
+function getEnterprisePlanId(pkg) {
+  const plan = catalog.findEnterprisePlan(pkg);
+  return plan ? plan.id : null;
+}
 
+// ---------------------------------------------------------------------
+//  PLAN LIST (for Offers Engine + /api/admin/plans)
+// ---------------------------------------------------------------------
+function deriveBillingTypesFromPlans(planIds = []) {
   const set = new Set();
-  selectedPlans.forEach((p) => (p.allowedBilling || []).forEach((bt) => set.add(bt)));
+  (planIds || []).forEach((id) => {
+    const plan = catalog.findPlan(id);
+    if (plan) (plan.billingCycles || []).forEach((bt) => set.add(bt));
+  });
   return Array.from(set);
 }
 
+// Offers are saved under canonical ids; unknown ids are kept as typed.
+function normalizeOfferPlanId(planId) {
+  const id = String(planId || "").trim();
+  return catalog.resolvePlanId(id) || id;
+}
+
+// Admin may restrict an offer further (e.g. yearly-only); never widen past what the plans allow.
+function narrowBillingTypes(derived, requested) {
+  const wanted = Array.isArray(requested)
+    ? requested.map((bt) => String(bt || "").trim().toLowerCase()).filter(Boolean)
+    : [];
+  if (!wanted.length) return derived;
+  return derived.filter((bt) => wanted.includes(bt));
+}
+
 // ---------------------------------------------------------------------
-//  OFFERS ADMIN – API
+//  PUBLIC: PLANS + PRICING (marketing site pricing pages)
+//  GET /api/plans?country=IN[&currency=USD]   (country: ISO code or name, default India)
+//  Cached by the CDN: Cache-Control below + Express's ETag/304 handling.
 // ---------------------------------------------------------------------
-app.get("/api/admin/plans", requireAdminSecret, (req, res) => {
-  try {
-    const payload = PLANS_CONFIG.map((p) => ({
-      id: p.id,
-      label: p.label,
-      allowedBilling: p.allowedBilling || [],
-      isConsultation: !!p.isConsultation,
-    }));
-    return res.json(payload);
-  } catch (err) {
-    console.error("Error in GET /api/admin/plans:", err);
-    return res.status(500).json({ error: "Failed to load plans" });
-  }
-});
+const PLANS_CACHE_MAX_AGE_SECONDS = Number(process.env.PLANS_CACHE_MAX_AGE_SECONDS) || 300;
 
-app.get("/api/admin/offers", requireAdminSecret, (req, res) => {
-  try {
-    const offers = loadOffers();
-    return res.json(offers);
-  } catch (err) {
-    console.error("Error in GET /api/admin/offers:", err);
-    return res.status(500).json({ error: "Failed to load offers" });
-  }
-});
+// buyer: { country, gstStatus?, taxId? }
+function quotePlanCycle(planId, billingCycle, buyer, currency = currencies.BASE_CURRENCY) {
+  const base = catalog.getBasePrice(planId, billingCycle, currency);
+  if (base === null) return null;
 
-app.post("/api/admin/offers", requireAdminSecret, (req, res) => {
-  try {
-    const { code, type, amount, description, active, appliesTo, usageLimit, validity } = req.body || {};
+  const quote = addTax(base, taxForPlan(planId, buyer), currency);
 
-    if (!code || !type || !amount) {
-      return res.status(400).json({ error: "code, type and amount are required" });
+  if (billingCycle === "yearly") {
+    const monthly = catalog.getBasePrice(planId, "monthly", currency);
+    if (monthly !== null) {
+      quote.listPrice = monthly * 12; // before yearly discount
+      quote.savings = quote.listPrice - base;
+      quote.perMonth = currencies.roundAmount(base / 12, currency);
     }
+  }
+  return quote;
+}
 
-    const normalizedCode = String(code).trim().toUpperCase();
-    const normalizedType = String(type).trim().toUpperCase();
-    const numericAmount = Number(amount);
+const plansQuery = validateRequest({ query: { country: countryField(), currency: currencyField() } });
 
-    if (!numericAmount || numericAmount <= 0) {
-      return res.status(400).json({ error: "amount must be > 0" });
-    }
-    if (!["PERCENT", "FIXED"].includes(normalizedType)) {
-      return res.status(400).json({ error: "type must be PERCENT or FIXED" });
+app.get("/api/plans", plansQuery, (req, res) => {
+  try {
+    const country = String(req.query.country || "India").trim();
+    const currency = resolveCheckoutCurrency({ currency: req.query.currency, country });
+    if (!currency) {
+      return sendError(res, 400, "UNSUPPORTED_CURRENCY", unsupportedCurrencyError(req.query.currency));
     }
 
-    const plans =
-      appliesTo && Array.isArray(appliesTo.plans)
-        ? appliesTo.plans.map((p) => String(p || "").trim()).filter(Boolean)
-        : [];
+    const plans = catalog.PLANS.filter(catalog.isPriced)
+      .sort((a, b) => a.sortOrder - b.sortOrder)
+      .map((p) => {
+        const prices = {};
+        (p.billingCycles || []).forEach((bt) => {
+          const quote = quotePlanCycle(p.id, bt, { country }, currency);
+          if (quote) prices[bt] = quote;
+        });
 
-    const billingTypes = deriveBillingTypesFromPlans(plans);
+        return {
+          id: p.id,
+          label: p.label,
+          product: p.product,
+          segment: p.segment,
+          tier: p.tier,
+          kind: p.kind,
+          sortOrder: p.sortOrder,
+          billingCycles: p.billingCycles || [],
+          prices,
+        };
+      });
 
-    const countries =
-      appliesTo && Array.isArray(appliesTo.countries)
-        ? appliesTo.countries.map((c) => String(c || "").trim()).filter(Boolean)
-        : [];
+    // Default rate for the country; plans with their own rate (TAX_RULES products) show it in prices
+    const tax = taxEngine.taxFor({ country });
 
-    if (!plans.length) {
-      return res.status(400).json({ error: "At least one plan (appliesTo.plans) is required" });
-    }
+    res.set("Cache-Control", `public, max-age=${PLANS_CACHE_MAX_AGE_SECONDS}`);
+    return res.json({
+      success: true,
+      currency,
+      country,
+      countryCode: tax.country,
+      gstRate: tax.rate,
+      taxTreatment: tax.treatment,
+      yearlyDiscount: catalog.YEARLY_DISCOUNT,
+      plans,
+    });
+  } catch (err) {
+    console.error("Error in GET /api/plans:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Failed to load plans");
+  }
+});
 
-    const offers = loadOffers();
-    const idx = offers.findIndex((o) => o.code === normalizedCode);
+// ---------------------------------------------------------------------
+//  ADMIN KEYS – API (admin role)
+//  GET    /api/admin/keys                 → keys without secrets
+//  POST   /api/admin/keys { name, role }  → { key } shown once
+//  POST   /api/admin/keys/:id/rotate      → new { key }; the old one stops working immediately
+//  DELETE /api/admin/keys/:id             → revoked (kept for the record)
+// ---------------------------------------------------------------------
+function publicAdminKey(record) {
+  const { secretHash, ...rest } = record;
+  return rest;
+}
 
-    const offerPayload = {
-      code: normalizedCode,
-      type: normalizedType,
-      amount: numericAmount,
-      description: description || "",
-      active: active === false ? false : true,
-      appliesTo: { plans, billingTypes, countries },
-      usageLimit: usageLimit === null || usageLimit === undefined ? null : Number(usageLimit),
-      used: 0,
-      validity: {
-        start: validity && validity.start ? validity.start : null,
-        end: validity && validity.end ? validity.end : null,
-      },
-    };
+app.get("/api/admin/keys", requireAdmin("keys:manage"), (req, res) => {
+  try {
+    const keys = storage.list(ADMIN_KEYS).map(publicAdminKey);
+    return res.json({ success: true, roles: adminAuth.ADMIN_ROLES, keys });
+  } catch (err) {
+    console.error("Error in GET /api/admin/keys:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Failed to load admin keys");
+  }
+});
 
-    if (idx >= 0) offers[idx] = { ...offers[idx], ...offerPayload };
-    else offers.push(offerPayload);
+const createAdminKeyBody = validateRequest({
+  body: {
+    name: v.string({ required: true, max: 80 }), // who the key belongs to
+    role: v.string({ required: true, oneOf: Object.keys(adminAuth.ADMIN_ROLES) }),
+  },
+});
 
-    saveOffers(offers);
-    return res.json({ success: true, offer: offerPayload });
+app.post("/api/admin/keys", requireAdmin("keys:manage"), createAdminKeyBody, (req, res) => {
+  try {
+    const name = String(req.body.name).trim();
+    const role = String(req.body.role).trim();
+
+    const { id, secret, key } = adminAuth.generateApiKey();
+    const record = {
+      id,
+      name,
+      role,
+      secretHash: adminAuth.hashSecret(secret),
+      createdAt: new Date().toISOString(),
+      createdBy: req.admin.name,
+      rotatedAt: null,
+      revokedAt: null,
+      lastUsedAt: null,
+    };
+    storage.put(ADMIN_KEYS, record);
+
+    console.log(`[ADMIN] Key ${id} (${name}, ${role}) created by ${req.admin.name}`);
+    return res.status(201).json({ success: true, key, admin: publicAdminKey(record) });
   } catch (err) {
-    console.error("Error in POST /api/admin/offers:", err);
-    return res.status(500).json({ error: "Failed to save offer" });
+    console.error("Error in POST /api/admin/keys:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Failed to create admin key");
   }
 });
 
-app.patch("/api/admin/offers/:code/enable", requireAdminSecret, (req, res) => {
+app.post("/api/admin/keys/:id/rotate", requireAdmin("keys:manage"), (req, res) => {
   try {
-    const codeParam = (req.params.code || "").toUpperCase();
-    if (!codeParam) return res.status(400).json({ error: "Offer code is required in URL" });
-
-    const offers = loadOffers();
-    const idx = offers.findIndex((o) => o.code === codeParam);
-    if (idx < 0) return res.status(404).json({ error: "Offer not found" });
+    const record = storage.get(ADMIN_KEYS, req.params.id);
+    if (!record) return sendError(res, 404, "NOT_FOUND", "Admin key not found");
+    if (record.revokedAt) return sendError(res, 409, "KEY_REVOKED", "Admin key is revoked");
 
-    offers[idx].active = true;
-    offers[idx].enabled = true;
+    const { secret, key } = adminAuth.generateApiKey(record.id);
+    const updated = { ...record, secretHash: adminAuth.hashSecret(secret), rotatedAt: new Date().toISOString() };
+    storage.put(ADMIN_KEYS, updated);
 
-    saveOffers(offers);
-    return res.json({ success: true, offer: offers[idx] });
+    console.log(`[ADMIN] Key ${record.id} (${record.name}) rotated by ${req.admin.name}`);
+    return res.json({ success: true, key, admin: publicAdminKey(updated) });
   } catch (err) {
-    console.error("Error in PATCH /api/admin/offers/:code/enable:", err);
-    return res.status(500).json({ error: "Failed to enable offer" });
+    console.error("Error in POST /api/admin/keys/:id/rotate:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Failed to rotate admin key");
   }
 });
 
-app.patch("/api/admin/offers/:code/disable", requireAdminSecret, (req, res) => {
+app.delete("/api/admin/keys/:id", requireAdmin("keys:manage"), (req, res) => {
   try {
-    const codeParam = (req.params.code || "").toUpperCase();
-    if (!codeParam) return res.status(400).json({ error: "Offer code is required in URL" });
+    const record = storage.get(ADMIN_KEYS, req.params.id);
+    if (!record) return sendError(res, 404, "NOT_FOUND", "Admin key not found");
 
-    const offers = loadOffers();
-    const idx = offers.findIndex((o) => o.code === codeParam);
-    if (idx < 0) return res.status(404).json({ error: "Offer not found" });
-
-    offers[idx].active = false;
-    offers[idx].enabled = false;
+    const updated = { ...record, revokedAt: record.revokedAt || new Date().toISOString() };
+    storage.put(ADMIN_KEYS, updated);
 
-    saveOffers(offers);
-    return res.json({ success: true, offer: offers[idx] });
+    console.log(`[ADMIN] Key ${record.id} (${record.name}) revoked by ${req.admin.name}`);
+    return res.json({ success: true, admin: publicAdminKey(updated) });
   } catch (err) {
-    console.error("Error in PATCH /api/admin/offers/:code/disable:", err);
-    return res.status(500).json({ error: "Failed to disable offer" });
+    console.error("Error in DELETE /api/admin/keys/:id:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Failed to revoke admin key");
   }
 });
 
-app.delete("/api/admin/offers/:code", requireAdminSecret, (req, res) => {
+// ---------------------------------------------------------------------
+//  OFFERS ADMIN – API
+// ---------------------------------------------------------------------
+app.get("/api/admin/plans", requireAdmin("offers:read"), (req, res) => {
+  try {
+    const payload = catalog.PLANS.filter(catalog.isPriced)
+      .sort((a, b) => a.sortOrder - b.sortOrder)
+      .map((p) => ({
+        id: p.id,
+        label: p.label,
+        allowedBilling: p.billingCycles || [],
+        isConsultation: !!p.isConsultation,
+        legacyIds: p.legacyIds || [],
+      }));
+    return res.json(payload);
+  } catch (err) {
+    console.error("Error in GET /api/admin/plans:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Failed to load plans");
+  }
+});
+
+const exportFormatQuery = validateRequest({
+  query: { format: v.string({ oneOf: ["json", "csv"], ignoreCase: true }) },
+});
+
+app.get("/api/admin/offers", requireAdmin("offers:read"), exportFormatQuery, (req, res) => {
+  try {
+    const offers = loadOffers();
+    if (String(req.query.format || "").toLowerCase() === "csv") {
+      return sendCsv(res, "offers.csv", csv.toCsv(offers.map(offerToCsvRow), OFFER_CSV_COLUMNS));
+    }
+
+    const codes = storage.list(OFFER_CODES);
+    // Campaigns carry a summary of their generated codes (full list: GET /api/admin/offers/:code/codes)
+    offers
+      .filter((o) => o.isCampaign)
+      .forEach((o) => {
+        const own = codes.filter((c) => c.campaignCode === o.code);
+        o.codes = { total: own.length, used: own.reduce((sum, c) => sum + (Number(c.used) || 0), 0) };
+      });
+    return res.json(offers);
+  } catch (err) {
+    console.error("Error in GET /api/admin/offers:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Failed to load offers");
+  }
+});
+
+const OFFER_TYPES = ["PERCENT", "FIXED", "FIRST_MONTHS", "BUNDLE"];
+const FIRST_MONTHS_BILLING_TYPES = ["monthly", "yearly"];
+
+const isBlank = (v) => v === undefined || v === null || v === "";
+
+// Validates the pricing rule of an offer (see applyOffer for what each type does).
+// Returns { error, field } or { rule } with only the fields that type uses.
+function validateOfferRule(input) {
+  const type = String(input.type || "").trim().toUpperCase();
+  if (!OFFER_TYPES.includes(type)) return { error: `type must be one of: ${OFFER_TYPES.join(", ")}`, field: "type" };
+
+  const rule = { type };
+
+  if (type === "BUNDLE") {
+    const bundle = input.bundle || {};
+    const bundlePlan = catalog.findPlan(bundle.planId || "one_time_consult_60");
+    if (!bundlePlan || catalog.getBasePrice(bundlePlan.id, "one_time") === null) {
+      return { error: "bundle.planId must be a priced one-time plan", field: "bundle.planId" };
+    }
+    const quantity = isBlank(bundle.quantity) ? 1 : Number(bundle.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { error: "bundle.quantity must be a whole number ≥ 1", field: "bundle.quantity" };
+    }
+
+    rule.amount = 0;
+    rule.bundle = { planId: bundlePlan.id, quantity };
+  } else {
+    const amount = Number(input.amount);
+    if (!amount || amount <= 0) return { error: "amount must be > 0", field: "amount" };
+    if (type !== "FIXED" && amount > 100) {
+      return { error: "amount is a percentage and must be ≤ 100", field: "amount" };
+    }
+    rule.amount = amount;
+  }
+
+  if (type === "FIRST_MONTHS") {
+    const months = Number(input.months);
+    if (!Number.isInteger(months) || months < 1 || months > 12) {
+      return { error: "months must be a whole number between 1 and 12", field: "months" };
+    }
+    rule.months = months;
+  }
+
+  if (!isBlank(input.maxDiscount)) {
+    if (!["PERCENT", "FIRST_MONTHS"].includes(type)) {
+      return { error: "maxDiscount only applies to percentage offers", field: "maxDiscount" };
+    }
+    const maxDiscount = Number(input.maxDiscount);
+    if (!maxDiscount || maxDiscount <= 0) return { error: "maxDiscount must be > 0", field: "maxDiscount" };
+    rule.maxDiscount = maxDiscount;
+  }
+
+  if (!isBlank(input.minOrderValue)) {
+    const minOrderValue = Number(input.minOrderValue);
+    if (!Number.isFinite(minOrderValue) || minOrderValue < 0) {
+      return { error: "minOrderValue must be ≥ 0", field: "minOrderValue" };
+    }
+    if (minOrderValue > 0) rule.minOrderValue = minOrderValue;
+  }
+
+  // Unset: the global OFFER_DISCOUNT_MODE applies
+  if (!isBlank(input.discountMode)) {
+    const discountMode = String(input.discountMode).trim().toLowerCase();
+    if (!OFFER_DISCOUNT_MODES.includes(discountMode)) {
+      return { error: `discountMode must be one of: ${OFFER_DISCOUNT_MODES.join(", ")}`, field: "discountMode" };
+    }
+    rule.discountMode = discountMode;
+  }
+
+  return { rule };
+}
+
+// Replaces the rule fields of an offer (clears ones the new type doesn't use)
+function assignOfferRule(offer, rule) {
+  ["maxDiscount", "minOrderValue", "months", "bundle", "discountMode"].forEach((field) => delete offer[field]);
+  return Object.assign(offer, rule);
+}
+
+// null / "" → no per-customer limit; otherwise a whole number ≥ 1 (returns the message or null)
+function perCustomerLimitError(value) {
+  if (isBlank(value)) return null;
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit >= 1 ? null : "perCustomerLimit must be a whole number ≥ 1";
+}
+
+// Builds the stored form of an offer from admin input (POST body or CSV row).
+// existing: the stored offer with the same code, if any. Returns { offer } or { error, field }.
+function buildOfferFromInput(input, existing) {
+  const {
+    code,
+    type,
+    amount,
+    description,
+    active,
+    appliesTo,
+    usageLimit,
+    perCustomerLimit,
+    newCustomersOnly,
+    validity,
+    campaign,
+  } = input || {};
+
+  if (!code || !type || (!amount && String(type).trim().toUpperCase() !== "BUNDLE")) {
+    return { error: "code, type and amount are required", field: !code ? "code" : !type ? "type" : "amount" };
+  }
+
+  const ruleResult = validateOfferRule(input);
+  if (ruleResult.error) return ruleResult;
+  const { rule } = ruleResult;
+
+  const plans =
+    appliesTo && Array.isArray(appliesTo.plans)
+      ? appliesTo.plans.map(normalizeOfferPlanId).filter(Boolean)
+      : [];
+
+  let billingTypes = narrowBillingTypes(deriveBillingTypesFromPlans(plans), appliesTo && appliesTo.billingTypes);
+  // "first N months" only means something for recurring billing cycles
+  if (rule.type === "FIRST_MONTHS") {
+    billingTypes = billingTypes.filter((bt) => FIRST_MONTHS_BILLING_TYPES.includes(bt));
+  }
+
+  const countries =
+    appliesTo && Array.isArray(appliesTo.countries)
+      ? appliesTo.countries.map((c) => String(c || "").trim()).filter(Boolean)
+      : [];
+
+  if (!plans.length) {
+    return { error: "At least one plan (appliesTo.plans) is required", field: "appliesTo.plans" };
+  }
+  if (!billingTypes.length) {
+    return {
+      error: "appliesTo.billingTypes does not match any billing cycle of the selected plans",
+      field: "appliesTo.billingTypes",
+    };
+  }
+  if (!isBlank(usageLimit) && !(Number.isInteger(Number(usageLimit)) && Number(usageLimit) >= 0)) {
+    return { error: "usageLimit must be a whole number ≥ 0", field: "usageLimit" };
+  }
+  const customerLimitError = perCustomerLimitError(perCustomerLimit);
+  if (customerLimitError) return { error: customerLimitError, field: "perCustomerLimit" };
+
+  const offer = {
+    code: String(code).trim().toUpperCase(),
+    ...rule,
+    description: description || "",
+    active: active === false ? false : true,
+    appliesTo: { plans, billingTypes, countries },
+    usageLimit: isBlank(usageLimit) ? null : Number(usageLimit),
+    perCustomerLimit: isBlank(perCustomerLimit) ? null : Number(perCustomerLimit),
+    newCustomersOnly: newCustomersOnly === true,
+    // editing an existing offer must not reset its redemption count
+    used: existing ? existing.used || 0 : 0,
+    validity: {
+      start: validity && validity.start ? validity.start : null,
+      end: validity && validity.end ? validity.end : null,
+    },
+  };
+
+  // A campaign stays a campaign: its generated codes depend on it
+  if (campaign === true || (existing && existing.isCampaign)) offer.isCampaign = true;
+
+  return { offer };
+}
+
+// Shape of the JSON offer body; the rule itself (amount per type, plans...) is checked by buildOfferFromInput.
+// partial: PATCH – nothing is required
+function offerBodySchema({ partial = false } = {}) {
+  const stringList = () => v.array({ of: v.string({ max: 80 }), max: 200 });
+  return {
+    code: v.string({ required: !partial, max: 64 }),
+    type: v.string({ required: !partial, max: 20 }),
+    amount: v.number({ min: 0 }),
+    maxDiscount: v.number({ min: 0 }),
+    minOrderValue: v.number({ min: 0 }),
+    months: v.number({ integer: true }),
+    discountMode: v.string({ max: 20 }),
+    bundle: v.object({ shape: { planId: planIdField(), quantity: v.number({ integer: true, min: 1 }) } }),
+    description: v.string({ max: 500 }),
+    active: v.boolean(),
+    campaign: v.boolean(),
+    appliesTo: v.object({ shape: { plans: stringList(), billingTypes: stringList(), countries: stringList() } }),
+    usageLimit: v.number({ integer: true, min: 0 }),
+    perCustomerLimit: v.number({ integer: true, min: 1 }),
+    newCustomersOnly: v.boolean(),
+    validity: v.object({ shape: { start: v.isoDate(), end: v.isoDate() } }),
+  };
+}
+
+// { error, field } from buildOfferFromInput / validateOfferRule → 400
+function invalidOffer(res, { error, field }) {
+  return invalidField(res, field, "INVALID_VALUE", error);
+}
+
+const createOfferBody = validateRequest({ body: offerBodySchema() });
+
+app.post("/api/admin/offers", requireAdmin("offers:write"), createOfferBody, (req, res) => {
+  try {
+    const normalizedCode = String(req.body.code).trim().toUpperCase();
+
+    if (storage.get(OFFER_CODES, normalizedCode)) {
+      return sendError(res, 409, "CODE_IN_USE", "This code already belongs to a campaign");
+    }
+
+    const offers = loadOffers();
+    const idx = offers.findIndex((o) => o.code === normalizedCode);
+
+    const built = buildOfferFromInput(req.body, idx >= 0 ? offers[idx] : null);
+    if (built.error) return invalidOffer(res, built);
+    const offerPayload = built.offer;
+
+    const before = idx >= 0 ? offers[idx] : null;
+    if (idx >= 0) offers[idx] = assignOfferRule({ ...offers[idx] }, offerPayload);
+    else offers.push(offerPayload);
+
+    saveOffers(offers);
+    recordOfferAudit(req, {
+      action: before ? "update" : "create",
+      code: offerPayload.code,
+      before,
+      after: idx >= 0 ? offers[idx] : offerPayload,
+    });
+    return res.json({ success: true, offer: offerPayload });
+  } catch (err) {
+    console.error("Error in POST /api/admin/offers:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Failed to save offer");
+  }
+});
+
+app.patch("/api/admin/offers/:code/enable", requireAdmin("offers:write"), (req, res) => {
+  try {
+    const codeParam = (req.params.code || "").toUpperCase();
+    if (!codeParam) return invalidField(res, "code", "REQUIRED", "Offer code is required in URL");
+
+    const offers = loadOffers();
+    const idx = offers.findIndex((o) => o.code === codeParam);
+    if (idx < 0) return sendError(res, 404, "NOT_FOUND", "Offer not found");
+
+    const before = offerSnapshot(offers[idx]);
+    offers[idx].active = true;
+    offers[idx].enabled = true;
+
+    saveOffers(offers);
+    recordOfferAudit(req, { action: "enable", code: codeParam, before, after: offers[idx] });
+    return res.json({ success: true, offer: offers[idx] });
+  } catch (err) {
+    console.error("Error in PATCH /api/admin/offers/:code/enable:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Failed to enable offer");
+  }
+});
+
+app.patch("/api/admin/offers/:code/disable", requireAdmin("offers:write"), (req, res) => {
+  try {
+    const codeParam = (req.params.code || "").toUpperCase();
+    if (!codeParam) return invalidField(res, "code", "REQUIRED", "Offer code is required in URL");
+
+    const offers = loadOffers();
+    const idx = offers.findIndex((o) => o.code === codeParam);
+    if (idx < 0) return sendError(res, 404, "NOT_FOUND", "Offer not found");
+
+    const before = offerSnapshot(offers[idx]);
+    offers[idx].active = false;
+    offers[idx].enabled = false;
+
+    saveOffers(offers);
+    recordOfferAudit(req, { action: "disable", code: codeParam, before, after: offers[idx] });
+    return res.json({ success: true, offer: offers[idx] });
+  } catch (err) {
+    console.error("Error in PATCH /api/admin/offers/:code/disable:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Failed to disable offer");
+  }
+});
+
+app.delete("/api/admin/offers/:code", requireAdmin("offers:write"), (req, res) => {
   try {
     const codeParam = (req.params.code || "").toUpperCase();
-    if (!codeParam) return res.status(400).json({ error: "Offer code is required in URL" });
+    if (!codeParam) return invalidField(res, "code", "REQUIRED", "Offer code is required in URL");
 
     const offers = loadOffers();
     const beforeCount = offers.length;
     const filtered = offers.filter((o) => o.code !== codeParam);
-    if (filtered.length === beforeCount) return res.status(404).json({ error: "Offer not found" });
+    if (filtered.length === beforeCount) return sendError(res, 404, "NOT_FOUND", "Offer not found");
 
-    saveOffers(filtered);
+    // a campaign's codes go with it (restoring the offer doesn't bring them back)
+    const codes = loadCampaignCodes(codeParam);
+    storage.transaction(() => {
+      saveOffers(filtered);
+      codes.forEach((c) => storage.remove(OFFER_CODES, c.code));
+    });
+    recordOfferAudit(req, {
+      action: "delete",
+      code: codeParam,
+      before: offers.find((o) => o.code === codeParam),
+      after: null,
+      details: codes.length ? { deletedCodes: codes.length } : undefined,
+    });
     return res.json({ success: true });
   } catch (err) {
     console.error("Error in DELETE /api/admin/offers/:code:", err);
-    return res.status(500).json({ error: "Failed to delete offer" });
+    return sendError(res, 500, "INTERNAL_ERROR", "Failed to delete offer");
   }
 });
 
 // Optional legacy PATCH route kept for compatibility
-app.patch("/api/admin/offers/:code", requireAdminSecret, (req, res) => {
+const patchOfferBody = validateRequest({ body: offerBodySchema({ partial: true }) });
+
+app.patch("/api/admin/offers/:code", requireAdmin("offers:write"), patchOfferBody, (req, res) => {
   try {
     const codeParam = (req.params.code || "").toUpperCase();
-    if (!codeParam) return res.status(400).json({ error: "Offer code is required in URL" });
+    if (!codeParam) return invalidField(res, "code", "REQUIRED", "Offer code is required in URL");
 
     const offers = loadOffers();
     const idx = offers.findIndex((o) => o.code === codeParam);
-    if (idx < 0) return res.status(404).json({ error: "Offer not found" });
+    if (idx < 0) return sendError(res, 404, "NOT_FOUND", "Offer not found");
 
     const patch = req.body || {};
     const current = offers[idx];
+    const before = offerSnapshot(current);
 
-    if (patch.type) {
-      const t = String(patch.type).toUpperCase();
-      if (["PERCENT", "FIXED"].includes(t)) current.type = t;
-    }
-
-    if (patch.amount !== undefined) {
-      const amt = Number(patch.amount);
-      if (amt > 0) current.amount = amt;
+    const ruleFields = ["type", "amount", "maxDiscount", "minOrderValue", "months", "bundle", "discountMode"];
+    if (ruleFields.some((field) => patch[field] !== undefined)) {
+      const merged = {};
+      ruleFields.forEach((field) => {
+        merged[field] = patch[field] !== undefined ? patch[field] : current[field];
+      });
+      const ruleResult = validateOfferRule(merged);
+      if (ruleResult.error) return invalidOffer(res, ruleResult);
+      assignOfferRule(current, ruleResult.rule);
     }
 
     if (patch.active !== undefined) {
@@ -509,9 +1326,19 @@ app.patch("/api/admin/offers/:code", requireAdminSecret, (req, res) => {
     if (patch.appliesTo) {
       const appliesTo = patch.appliesTo;
 
-      if (Array.isArray(appliesTo.plans)) {
-        current.appliesTo.plans = appliesTo.plans.map((p) => String(p || "").trim()).filter(Boolean);
-        current.appliesTo.billingTypes = deriveBillingTypesFromPlans(current.appliesTo.plans);
+      if (Array.isArray(appliesTo.plans) || Array.isArray(appliesTo.billingTypes)) {
+        if (Array.isArray(appliesTo.plans)) {
+          current.appliesTo.plans = appliesTo.plans.map(normalizeOfferPlanId).filter(Boolean);
+        }
+        current.appliesTo.billingTypes = narrowBillingTypes(
+          deriveBillingTypesFromPlans(current.appliesTo.plans),
+          appliesTo.billingTypes
+        );
+        if (current.type === "FIRST_MONTHS") {
+          current.appliesTo.billingTypes = current.appliesTo.billingTypes.filter((bt) =>
+            FIRST_MONTHS_BILLING_TYPES.includes(bt)
+          );
+        }
       }
 
       if (Array.isArray(appliesTo.countries)) {
@@ -523,6 +1350,14 @@ app.patch("/api/admin/offers/:code", requireAdminSecret, (req, res) => {
       current.usageLimit = patch.usageLimit === null ? null : Number(patch.usageLimit);
     }
 
+    if (patch.perCustomerLimit !== undefined) {
+      const customerLimitError = perCustomerLimitError(patch.perCustomerLimit);
+      if (customerLimitError) return invalidField(res, "perCustomerLimit", "INVALID_VALUE", customerLimitError);
+      current.perCustomerLimit = isBlank(patch.perCustomerLimit) ? null : Number(patch.perCustomerLimit);
+    }
+
+    if (patch.newCustomersOnly !== undefined) current.newCustomersOnly = patch.newCustomersOnly === true;
+
     if (patch.validity) {
       current.validity = {
         start: patch.validity.start !== undefined ? patch.validity.start : current.validity.start,
@@ -531,196 +1366,2139 @@ app.patch("/api/admin/offers/:code", requireAdminSecret, (req, res) => {
     }
 
     saveOffers(offers);
+    recordOfferAudit(req, { action: "update", code: codeParam, before, after: current });
     return res.json({ success: true, offer: current });
   } catch (err) {
     console.error("Error in PATCH /api/admin/offers/:code:", err);
-    return res.status(500).json({ error: "Failed to update offer" });
+    return sendError(res, 500, "INTERNAL_ERROR", "Failed to update offer");
   }
 });
 
 // ---------------------------------------------------------------------
-//  OFFER VALIDATION & APPLICATION (USED BY CHECKOUT)
+//  OFFER CAMPAIGNS (bulk unique codes) + CSV IMPORT / EXPORT
+//  A campaign is an offer with isCampaign: true (POST /api/admin/offers { ..., campaign: true }).
+//  It holds the rule, plans and validity; its own code can't be redeemed.
+//  POST /api/admin/offers/:code/codes        { count, prefix?, length?, usageLimit? } → N unique codes
+//  GET  /api/admin/offers/:code/codes[?format=csv]
+//  POST /api/admin/offers/:code/codes/import  (text/csv: code,usageLimit,active)
+//  GET  /api/admin/offers?format=csv, POST /api/admin/offers/import (text/csv, columns as exported)
+//  Imports are all-or-nothing: any invalid row → 400 listing the rows, nothing saved.
 // ---------------------------------------------------------------------
-function validateOfferForPlan(planId, couponCode) {
-  if (!couponCode) return { valid: false };
+const CAMPAIGN_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O, 1/I look-alikes
+const CAMPAIGN_MAX_CODES_PER_REQUEST = 2000;
+const CAMPAIGN_CODE_PATTERN = /^[A-Z0-9_-]{3,40}$/;
+
+const OFFER_CSV_COLUMNS = [
+  "code",
+  "type",
+  "amount",
+  "maxDiscount",
+  "minOrderValue",
+  "months",
+  "discountMode",
+  "bundlePlanId",
+  "bundleQuantity",
+  "description",
+  "active",
+  "campaign",
+  "plans",
+  "billingTypes",
+  "countries",
+  "usageLimit",
+  "used",
+  "perCustomerLimit",
+  "newCustomersOnly",
+  "validityStart",
+  "validityEnd",
+];
+const CODE_CSV_COLUMNS = ["code", "usageLimit", "used", "active", "createdAt"];
 
-  const offers = loadOffers();
-  if (!offers.length) return { valid: false };
+const csvBody = express.text({ type: ["text/csv", "text/plain", "application/csv"], limit: "5mb" });
 
-  const now = new Date();
-  const code = String(couponCode).trim().toUpperCase();
+function sendCsv(res, filename, text) {
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  return res.send(text);
+}
 
-  const offer = offers.find((o) => (o.code || "").toUpperCase() === code);
-  if (!offer) return { valid: false };
+function parseCsvBool(value, fallback) {
+  const v = String(value || "").trim().toLowerCase();
+  if (["true", "yes", "1"].includes(v)) return true;
+  if (["false", "no", "0"].includes(v)) return false;
+  return fallback;
+}
 
-  const isActive =
-    offer.active !== undefined ? !!offer.active : offer.enabled !== undefined ? !!offer.enabled : true;
+function offerToCsvRow(offer) {
+  return {
+    ...offer,
+    bundlePlanId: offer.bundle ? offer.bundle.planId : "",
+    bundleQuantity: offer.bundle ? offer.bundle.quantity : "",
+    active: !!offer.active,
+    campaign: !!offer.isCampaign,
+    plans: offer.appliesTo.plans,
+    billingTypes: offer.appliesTo.billingTypes,
+    countries: offer.appliesTo.countries,
+    validityStart: offer.validity.start,
+    validityEnd: offer.validity.end,
+  };
+}
 
-  if (!isActive) return { valid: false };
+// CSV row → the same input shape POST /api/admin/offers takes
+function offerInputFromCsv(row) {
+  const optional = (v) => (isBlank(v) ? undefined : v);
+  return {
+    code: row.code,
+    type: row.type,
+    amount: row.amount,
+    maxDiscount: optional(row.maxDiscount),
+    minOrderValue: optional(row.minOrderValue),
+    months: optional(row.months),
+    discountMode: optional(row.discountMode),
+    bundle:
+      row.bundlePlanId || row.bundleQuantity ? { planId: row.bundlePlanId, quantity: row.bundleQuantity } : undefined,
+    description: row.description,
+    active: parseCsvBool(row.active, true),
+    campaign: parseCsvBool(row.campaign, false),
+    appliesTo: {
+      plans: csv.splitList(row.plans),
+      billingTypes: csv.splitList(row.billingTypes),
+      countries: csv.splitList(row.countries),
+    },
+    usageLimit: isBlank(row.usageLimit) ? null : row.usageLimit,
+    perCustomerLimit: isBlank(row.perCustomerLimit) ? null : row.perCustomerLimit,
+    newCustomersOnly: parseCsvBool(row.newCustomersOnly, false),
+    validity: { start: row.validityStart || null, end: row.validityEnd || null },
+  };
+}
 
-  let start = null;
-  let end = null;
+// null / "" → unlimited; otherwise a whole number ≥ 1
+function parseCodeUsageLimit(value) {
+  if (isBlank(value)) return { usageLimit: null };
+  const usageLimit = Number(value);
+  if (!Number.isInteger(usageLimit) || usageLimit < 1) return { error: "usageLimit must be a whole number ≥ 1" };
+  return { usageLimit };
+}
 
-  if (offer.validity) {
-    if (offer.validity.start) start = new Date(offer.validity.start);
-    if (offer.validity.end) end = new Date(offer.validity.end);
-  } else {
-    if (offer.startAt) start = new Date(offer.startAt);
-    if (offer.endAt) end = new Date(offer.endAt);
-  }
+function randomCodeSuffix(length) {
+  // alphabet has 32 letters, so `byte % 32` is unbiased
+  const bytes = crypto.randomBytes(length);
+  return Array.from(bytes, (b) => CAMPAIGN_CODE_ALPHABET[b % CAMPAIGN_CODE_ALPHABET.length]).join("");
+}
 
-  if (start && now < start) return { valid: false };
-  if (end && now > end) return { valid: false };
+function findCampaign(codeParam) {
+  const code = String(codeParam || "").trim().toUpperCase();
+  return loadOffers().find((o) => o.code === code) || null;
+}
 
-  let plans = [];
-  if (offer.appliesTo && Array.isArray(offer.appliesTo.plans)) plans = offer.appliesTo.plans;
-  else if (Array.isArray(offer.applicablePlans)) plans = offer.applicablePlans;
+app.post("/api/admin/offers/import", requireAdmin("offers:write"), csvBody, (req, res) => {
+  try {
+    const rows = typeof req.body === "string" ? csv.parseCsv(req.body) : [];
+    if (!rows.length) {
+      return sendError(res, 400, "CSV_REQUIRED", "Send the offers as CSV (Content-Type: text/csv) with a header line");
+    }
 
-  if (plans.length > 0 && !plans.includes(planId)) return { valid: false };
+    const offers = loadOffers();
+    const seen = new Set();
+    const errors = [];
+    const valid = [];
+
+    rows.forEach((row, i) => {
+      const code = String(row.code || "").trim().toUpperCase();
+      const fail = (error, field) => errors.push({ row: i + 1, code, field, error });
+
+      if (code && seen.has(code)) return fail("duplicate code in this file");
+      seen.add(code);
+      if (code && storage.get(OFFER_CODES, code)) return fail("This code already belongs to a campaign");
+
+      const idx = offers.findIndex((o) => o.code === code);
+      const { offer, error, field } = buildOfferFromInput(offerInputFromCsv(row), idx >= 0 ? offers[idx] : null);
+      if (error) return fail(error, field);
+      valid.push({ idx, offer });
+    });
 
-  return { valid: true, offer };
-}
+    if (errors.length) {
+      return sendError(res, 400, "INVALID_CSV", "CSV has invalid rows; nothing was imported", { rows: errors });
+    }
 
-function applyOffer(totalAmount, offer) {
-  if (!offer) return { discount: 0, final: totalAmount, description: null };
+    const changes = valid.map(({ idx, offer }) => {
+      const before = idx >= 0 ? offers[idx] : null;
+      if (idx >= 0) offers[idx] = assignOfferRule({ ...offers[idx] }, offer);
+      else offers.push(offer);
+      return { before, after: idx >= 0 ? offers[idx] : offer };
+    });
+    saveOffers(offers);
+    changes.forEach(({ before, after }) => {
+      recordOfferAudit(req, { action: before ? "update" : "create", code: after.code, before, after });
+    });
 
-  let discount = 0;
-  if (offer.type === "PERCENT") {
-    discount = Math.round((totalAmount * Number(offer.amount || 0)) / 100);
-  } else if (offer.type === "FIXED") {
-    discount = Math.round(Number(offer.amount || 0));
+    const updated = valid.filter((v) => v.idx >= 0).length;
+    return res.json({ success: true, created: valid.length - updated, updated });
+  } catch (err) {
+    console.error("Error in POST /api/admin/offers/import:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Failed to import offers");
   }
+});
 
-  if (discount < 0) discount = 0;
-  if (discount > totalAmount) discount = totalAmount;
-
-  const final = totalAmount - discount;
+const generateCodesBody = validateRequest({
+  body: {
+    count: v.number({ required: true, integer: true, min: 1, max: CAMPAIGN_MAX_CODES_PER_REQUEST }),
+    prefix: v.string({
+      pattern: /^[A-Za-z0-9_-]{0,20}$/,
+      patternMessage: "may only use letters, digits, - and _ (max 20)",
+    }),
+    length: v.number({ integer: true, min: 6, max: 16 }),
+    usageLimit: v.number({ integer: true, min: 1 }), // default 1 (single use); null = unlimited
+  },
+});
 
-  const description =
-    offer.type === "PERCENT" ? `${offer.amount}% off via ${offer.code}` : `₹${offer.amount} off via ${offer.code}`;
+app.post("/api/admin/offers/:code/codes", requireAdmin("offers:write"), generateCodesBody, (req, res) => {
+  try {
+    const campaign = findCampaign(req.params.code);
+    if (!campaign) return sendError(res, 404, "NOT_FOUND", "Offer not found");
+    if (!campaign.isCampaign) {
+      return sendError(
+        res,
+        400,
+        "NOT_A_CAMPAIGN",
+        "Codes can only be generated under a campaign offer (campaign: true)"
+      );
+    }
 
-  return { discount, final, description };
-}
+    const body = req.body;
+    const count = Number(body.count);
+    const prefix = String(body.prefix || "").trim().toUpperCase();
+    const length = isBlank(body.length) ? 8 : Number(body.length);
+    // single-use unless told otherwise
+    const { usageLimit } = parseCodeUsageLimit(body.usageLimit === undefined ? 1 : body.usageLimit);
+
+    const createdAt = new Date().toISOString();
+    const offerCodes = new Set(loadOffers().map((o) => o.code));
+    const codes = [];
+
+    // One transaction: the json backend writes offer_codes.json once for the whole batch
+    storage.transaction(() => {
+      // insert() is the atomic claim: a code that already exists is just another attempt
+      for (let attempt = 0; codes.length < count && attempt < count * 20; attempt++) {
+        const code = prefix + randomCodeSuffix(length);
+        if (offerCodes.has(code)) continue;
+        const inserted = storage.insert(OFFER_CODES, {
+          code,
+          campaignCode: campaign.code,
+          usageLimit,
+          used: 0,
+          active: true,
+          reservations: [],
+          createdAt,
+        });
+        if (inserted) codes.push(code);
+      }
+    });
 
-// ---------------------------------------------------------------------
-//  SIMPLE HEALTH CHECK
-// ---------------------------------------------------------------------
-app.get("/", (req, res) => {
-  res.json({ status: "ok", message: "TGP Razorpay backend is running" });
+    console.log(`[OFFERS] Generated ${codes.length} codes for campaign ${campaign.code}`);
+    recordOfferAudit(req, {
+      action: "codes.generate",
+      code: campaign.code,
+      details: { count: codes.length, prefix, length, usageLimit },
+    });
+    return res.json({ success: true, campaign: campaign.code, count: codes.length, usageLimit, codes });
+  } catch (err) {
+    console.error("Error in POST /api/admin/offers/:code/codes:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Failed to generate codes");
+  }
 });
 
-// ---------------------------------------------------------------------
-//  THANK-YOU CONTRACT ENDPOINT (v1)
-//  GET /api/thank-you-contract?version=v1&order_id=...&payment_id=...&ts=...&sig=...
-// ---------------------------------------------------------------------
-app.get("/api/thank-you-contract", (req, res) => {
+app.get("/api/admin/offers/:code/codes", requireAdmin("offers:read"), exportFormatQuery, (req, res) => {
   try {
-    if (!THANKYOU_SIG_SECRET) {
-      return res.status(500).json({
-        version: "v1",
-        error: { code: "MISCONFIGURED", message: "THANKYOU_SIG_SECRET not configured." },
-      });
-    }
-
-    const version = String(req.query.version || "v1");
-    const order_id = String(req.query.order_id || "");
-    const payment_id = String(req.query.payment_id || "");
-    const ts = String(req.query.ts || "");
-    const sig = String(req.query.sig || "");
+    const campaign = findCampaign(req.params.code);
+    if (!campaign) return sendError(res, 404, "NOT_FOUND", "Offer not found");
+
+    const codes = loadCampaignCodes(campaign.code).map((c) => ({
+      code: c.code,
+      usageLimit: c.usageLimit ?? null,
+      used: Number(c.used) || 0,
+      active: c.active !== false,
+      createdAt: c.createdAt || null,
+    }));
 
-    if (version !== "v1" || !order_id || !payment_id || !ts || !sig) {
-      return res.status(400).json({
-        version: "v1",
-        error: { code: "MISSING_PARAMS", message: "Missing verification params." },
-      });
+    if (String(req.query.format || "").toLowerCase() === "csv") {
+      return sendCsv(res, `${campaign.code}-codes.csv`, csv.toCsv(codes, CODE_CSV_COLUMNS));
     }
+    return res.json({ success: true, campaign: campaign.code, total: codes.length, codes });
+  } catch (err) {
+    console.error("Error in GET /api/admin/offers/:code/codes:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Failed to load codes");
+  }
+});
 
-    // Accept seconds(10) or ms(13)
-    const tsNum = Number(ts);
-    if (!Number.isFinite(tsNum)) {
-      return res.status(400).json({
-        version: "v1",
-        error: { code: "INVALID_TS", message: "Invalid timestamp." },
-      });
+// Adds codes (e.g. a partner's own list) or updates usageLimit / active of existing ones; `used` is never imported
+app.post("/api/admin/offers/:code/codes/import", requireAdmin("offers:write"), csvBody, (req, res) => {
+  try {
+    const campaign = findCampaign(req.params.code);
+    if (!campaign) return sendError(res, 404, "NOT_FOUND", "Offer not found");
+    if (!campaign.isCampaign) {
+      return sendError(res, 400, "NOT_A_CAMPAIGN", "Codes can only be imported into a campaign offer (campaign: true)");
     }
-    const tsMs = ts.length >= 13 ? tsNum : tsNum * 1000;
-    const ageMs = Math.abs(Date.now() - tsMs);
-    if (ageMs > 15 * 60 * 1000) {
-      return res.status(401).json({
-        version: "v1",
-        error: { code: "EXPIRED_TS", message: "Link expired." },
-      });
+
+    const rows = typeof req.body === "string" ? csv.parseCsv(req.body) : [];
+    if (!rows.length) {
+      return sendError(res, 400, "CSV_REQUIRED", "Send the codes as CSV (Content-Type: text/csv) with a header line");
     }
 
-    const expected = signThankYouV1({ order_id, payment_id, ts });
-    if (!timingSafeEqualStr(expected, sig)) {
-      return res.status(401).json({
-        version: "v1",
-        error: { code: "INVALID_SIGNATURE", message: "Verification failed." },
-      });
+    const offerCodes = new Set(loadOffers().map((o) => o.code));
+    const seen = new Set();
+    const errors = [];
+    const valid = [];
+
+    rows.forEach((row, i) => {
+      const code = String(row.code || "").trim().toUpperCase();
+      const fail = (error) => errors.push({ row: i + 1, code, error });
+
+      if (!CAMPAIGN_CODE_PATTERN.test(code)) return fail("code must be 3-40 letters, digits, - or _");
+      if (seen.has(code)) return fail("duplicate code in this file");
+      seen.add(code);
+      if (offerCodes.has(code)) return fail("code is already an offer code");
+
+      const existing = storage.get(OFFER_CODES, code);
+      if (existing && existing.campaignCode !== campaign.code) return fail("code belongs to another campaign");
+
+      const { usageLimit, error } = parseCodeUsageLimit(row.usageLimit);
+      if (error) return fail(error);
+
+      valid.push({ code, existing, usageLimit, active: parseCsvBool(row.active, true) });
+    });
+
+    if (errors.length) {
+      return sendError(res, 400, "INVALID_CSV", "CSV has invalid rows; nothing was imported", { rows: errors });
     }
 
-    const contract = getThankYouContract({ order_id, payment_id });
-    if (!contract) {
-      return res.status(404).json({
-        version: "v1",
-        error: { code: "NOT_FOUND", message: "Contract not found (try again shortly)." },
+    const createdAt = new Date().toISOString();
+    storage.transaction(() => {
+      valid.forEach(({ code, existing, usageLimit, active }) => {
+        storage.put(
+          OFFER_CODES,
+          existing
+            ? { ...existing, usageLimit, active }
+            : { code, campaignCode: campaign.code, usageLimit, used: 0, active, reservations: [], createdAt }
+        );
       });
-    }
+    });
 
-    return res.json(contract);
-  } catch (err) {
-    console.error("Error in GET /api/thank-you-contract:", err);
-    return res.status(500).json({
-      version: "v1",
-      error: { code: "INTERNAL_ERROR", message: "Server error." },
+    const updated = valid.filter((v) => v.existing).length;
+    recordOfferAudit(req, {
+      action: "codes.import",
+      code: campaign.code,
+      details: { created: valid.length - updated, updated, codes: valid.map((v) => v.code) },
     });
+    return res.json({ success: true, campaign: campaign.code, created: valid.length - updated, updated });
+  } catch (err) {
+    console.error("Error in POST /api/admin/offers/:code/codes/import:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Failed to import codes");
   }
 });
 
 // ---------------------------------------------------------------------
-//  GENERIC CREATE RAZORPAY ORDER (ALREADY USED BY YOUR FRONTEND)
+//  OFFER AUDIT LOG + VERSION HISTORY
+//  Every admin change to an offer is recorded: when, who (actor), which route, before / after.
+//  Actor: the name on the admin key that made the change.
+//  GET  /api/admin/audit?code=WELCOME&action=update&actor=...&from=2026-01-01&to=...
+//  GET  /api/admin/offers/:code/history   → versions, oldest first (every saved state of the offer)
+//  POST /api/admin/offers/:code/restore   { version } → the offer goes back to that state
+//  Redemption counters (used, reservations) are live checkout data: a restore keeps the current ones.
 // ---------------------------------------------------------------------
-app.post("/create-razorpay-order", async (req, res) => {
-  try {
-    const keyId = process.env.RAZORPAY_KEY_ID;
-    if (!keyId) {
-      return res.status(500).json({
-        success: false,
-        error: { code: "MISSING_KEY_ID", message: "RAZORPAY_KEY_ID not set" },
-      });
-    }
+const OFFER_AUDIT = "offer_audit"; // { id, at, action, code, actor, route, before, after, details }
 
-    const { amount, currency, receipt, notes } = req.body;
+// Offer as stored, minus live checkout state and list-only fields
+function offerSnapshot(offer) {
+  if (!offer) return null;
+  const { reservations, codes, ...rest } = offer;
+  return JSON.parse(JSON.stringify(rest));
+}
 
-    if (!amount || !currency || !receipt) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: "MISSING_FIELDS",
-          message: "Missing required fields: amount, currency, or receipt",
-        },
-      });
-    }
+function adminActor(req) {
+  return req.admin ? req.admin.name : "unknown";
+}
 
-    const amountInt = parseInt(amount, 10);
-    if (Number.isNaN(amountInt) || amountInt <= 0) {
-      return res.status(400).json({
-        success: false,
-        error: { code: "INVALID_AMOUNT", message: "Invalid amount" },
+// "PATCH /api/admin/offers/:code/enable"
+function adminRouteLabel(req) {
+  return `${req.method} ${req.route ? req.route.path : req.path}`;
+}
+
+// Called after the change is saved; a failed audit write is logged, not returned to the admin
+function recordOfferAudit(req, { action, code, before, after, details }) {
+  const at = new Date();
+  try {
+    storage.put(OFFER_AUDIT, {
+      id: `aud_${at.getTime().toString(36)}_${crypto.randomBytes(4).toString("hex")}`,
+      at: at.toISOString(),
+      action,
+      code,
+      actor: adminActor(req),
+      route: adminRouteLabel(req),
+      before: before === undefined ? undefined : offerSnapshot(before),
+      after: after === undefined ? undefined : offerSnapshot(after),
+      details,
+    });
+  } catch (err) {
+    console.error(`[AUDIT] Failed to record ${action} of offer ${code}:`, err);
+  }
+}
+
+// Audit entries of one offer, oldest first; each one that saved a state is a numbered version
+function offerHistory(code) {
+  let version = 0;
+  return storage
+    .list(OFFER_AUDIT)
+    .filter((e) => e.code === code)
+    .map((e) => (e.after ? { version: ++version, ...e } : { version: null, ...e }));
+}
+
+const auditQuery = validateRequest({
+  query: { ...listQueryFields(), code: v.string({ max: 64 }), action: v.string({ max: 40 }), actor: v.string() },
+});
+
+app.get("/api/admin/audit", requireAdmin("audit:read"), auditQuery, (req, res) => {
+  try {
+    const { code, action, actor } = req.query;
+    const from = parseDateFilter(req.query.from);
+    const to = parseDateFilter(req.query.to, { endOfDay: true });
+
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+    const matches = storage
+      .list(OFFER_AUDIT)
+      .filter((e) => {
+        const at = new Date(e.at);
+        if (from && at < from) return false;
+        if (to && at > to) return false;
+        if (code && e.code !== String(code).trim().toUpperCase()) return false;
+        if (action && e.action !== String(action)) return false;
+        if (actor && e.actor !== String(actor)) return false;
+        return true;
+      })
+      .reverse(); // newest first
+
+    return res.json({
+      success: true,
+      total: matches.length,
+      limit,
+      offset,
+      entries: matches.slice(offset, offset + limit),
+    });
+  } catch (err) {
+    console.error("Error in GET /api/admin/audit:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Failed to load audit log");
+  }
+});
+
+app.get("/api/admin/offers/:code/history", requireAdmin("audit:read"), (req, res) => {
+  try {
+    const code = String(req.params.code || "").trim().toUpperCase();
+    const history = offerHistory(code);
+    const current = loadOffers().find((o) => o.code === code) || null;
+    if (!history.length && !current) return sendError(res, 404, "NOT_FOUND", "Offer not found");
+
+    return res.json({ success: true, code, current: offerSnapshot(current), history });
+  } catch (err) {
+    console.error("Error in GET /api/admin/offers/:code/history:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Failed to load offer history");
+  }
+});
+
+// Also brings back a deleted offer (its campaign codes, if any, are gone for good)
+// version: from GET /api/admin/offers/:code/history
+const restoreOfferBody = validateRequest({ body: { version: v.number({ required: true, integer: true, min: 1 }) } });
+
+app.post("/api/admin/offers/:code/restore", requireAdmin("offers:write"), restoreOfferBody, (req, res) => {
+  try {
+    const code = String(req.params.code || "").trim().toUpperCase();
+    const version = Number(req.body.version);
+
+    const target = offerHistory(code).find((e) => e.version === version);
+    if (!target) return sendError(res, 404, "NOT_FOUND", "Version not found");
+    if (storage.get(OFFER_CODES, code)) {
+      return sendError(res, 409, "CODE_IN_USE", "This code now belongs to a campaign");
+    }
+
+    const offers = loadOffers();
+    const idx = offers.findIndex((o) => o.code === code);
+    const before = idx >= 0 ? offers[idx] : null;
+
+    const restored = {
+      ...target.after,
+      used: before ? before.used : Number(target.after.used) || 0,
+      reservations: before ? before.reservations : [],
+    };
+    if (idx >= 0) offers[idx] = restored;
+    else offers.push(restored);
+
+    saveOffers(offers);
+    recordOfferAudit(req, { action: "restore", code, before, after: restored, details: { restoredVersion: version } });
+    return res.json({ success: true, restoredVersion: version, offer: offerSnapshot(restored) });
+  } catch (err) {
+    console.error("Error in POST /api/admin/offers/:code/restore:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Failed to restore offer");
+  }
+});
+
+// ---------------------------------------------------------------------
+//  OFFER VALIDATION & APPLICATION (USED BY CHECKOUT)
+// ---------------------------------------------------------------------
+// Machine-readable reasons a coupon was rejected (returned to checkout UI as offerError)
+const OFFER_REJECTION_MESSAGES = {
+  NOT_FOUND: "This coupon code does not exist.",
+  INACTIVE: "This coupon is not active.",
+  NOT_STARTED: "This coupon is not valid yet.",
+  EXPIRED: "This coupon has expired.",
+  EXHAUSTED: "This coupon has reached its usage limit.",
+  PLAN_NOT_ELIGIBLE: "This coupon does not apply to the selected plan.",
+  COUNTRY_NOT_ELIGIBLE: "This coupon is not available in your country.",
+  BILLING_NOT_ELIGIBLE: "This coupon does not apply to the selected billing cycle.",
+  MIN_ORDER_NOT_MET: "Your order does not meet this coupon's minimum order value.",
+  CUSTOMER_REQUIRED: "Enter your email address to use this coupon.",
+  NEW_CUSTOMERS_ONLY: "This coupon is only for first-time customers.",
+  CUSTOMER_LIMIT_REACHED: "You have already used this coupon the maximum number of times.",
+  FIRST_MONTHS_USED: "You have already had this coupon's discounted months.",
+  CURRENCY_NOT_SUPPORTED: "This coupon can't be used when paying in this currency.",
+};
+
+// "India", "IN" and "Bharat" all match an offer for India (ISO code; unknown names compared as typed)
+function normalizeCountry(country) {
+  return countries.countryCode(country) || String(country || "").trim().toLowerCase();
+}
+
+// Customers are matched by email; OFFER_CUSTOMER_MATCH_PHONE=true also matches the mobile / phone / WhatsApp number.
+const OFFER_CUSTOMER_MATCH_PHONE = process.env.OFFER_CUSTOMER_MATCH_PHONE === "true";
+
+// Last 10 digits, so "+91 98765 43210" and "919876543210" are the same number
+function normalizePhone(phone) {
+  const digits = String(phone || "").replace(/\D/g, "");
+  return digits.length >= 7 ? digits.slice(-10) : null;
+}
+
+// { email, phone } as sent by checkout → comparable identity; null when neither is given
+function customerIdentity({ email, phone } = {}) {
+  const identity = {
+    email: String(email || "").trim().toLowerCase() || null,
+    phone: OFFER_CUSTOMER_MATCH_PHONE ? normalizePhone(phone) : null,
+  };
+  return identity.email || identity.phone ? identity : null;
+}
+
+// Every ledger order placed by this customer (email, or phone when matched), from CUSTOMER_ORDERS
+function ordersOfCustomer(identity) {
+  const keys = [identity.email && `email:${identity.email}`, identity.phone && `phone:${identity.phone}`];
+  const orders = new Map();
+  keys.filter(Boolean).forEach((key) => {
+    const index = storage.get(CUSTOMER_ORDERS, key);
+    Object.entries((index && index.orders) || {}).forEach(([id, o]) => orders.set(id, { id, ...o }));
+  });
+  return [...orders.values()];
+}
+
+// An unpaid checkout that still holds a redemption of its coupon (reserveOfferRedemption)
+function holdsOfferReservation(order, now = Date.now()) {
+  if (order.status !== "created" || !order.offerCode || !order.receipt) return false;
+  const held = findOffer(order.offerCode);
+  return !!held && held.reservations.some((r) => r && r.id === order.receipt && new Date(r.expiresAt) > now);
+}
+
+// Monthly billing: each month is its own order, so FIRST_MONTHS applies to the customer's first `months` of them
+function firstMonthsLimit(offer, billingType) {
+  if (offer.type !== "FIRST_MONTHS" || String(billingType || "").toLowerCase() !== "monthly") return null;
+  return Math.min(Number(offer.months) || 1, 12);
+}
+
+// newCustomersOnly / perCustomerLimit / FIRST_MONTHS on monthly billing;
+// a campaign's limit counts every code of the campaign
+function checkCustomerEligibility(offer, context) {
+  const monthsLimit = firstMonthsLimit(offer, context.billingType);
+  if (!offer.newCustomersOnly && !offer.perCustomerLimit && !monthsLimit) return null;
+
+  const identity = customerIdentity(context.customer);
+  if (!identity) return context.requireCustomer ? "CUSTOMER_REQUIRED" : null;
+
+  const orders = ordersOfCustomer(identity);
+  if (offer.newCustomersOnly && orders.some((o) => o.status === "paid")) return "NEW_CUSTOMERS_ONLY";
+
+  // Paid orders with this offer, plus open checkouts holding one of its redemptions, so two
+  // checkouts in parallel can't both go over the limit. Failed and abandoned checkouts don't count.
+  const uses = orders.filter(
+    (o) =>
+      (offer.campaignCode ? o.campaign === offer.campaignCode : o.offerCode === offer.code) &&
+      (o.status === "paid" || holdsOfferReservation(o))
+  ).length;
+  if (offer.perCustomerLimit && uses >= offer.perCustomerLimit) return "CUSTOMER_LIMIT_REACHED";
+  if (monthsLimit && uses >= monthsLimit) return "FIRST_MONTHS_USED";
+  return null;
+}
+
+// context: { country, billingType, orderTotal, currency, customer: { email, phone }, requireCustomer }
+// Restrictions only apply when the offer sets them. Order creation passes requireCustomer: an offer
+// limited per customer is then refused without an email; quotes skip that check until one is known.
+function validateOfferForPlan(planId, couponCode, context = {}) {
+  if (!couponCode) return { valid: false };
+
+  const now = new Date();
+
+  const offer = findOffer(couponCode);
+  if (!offer) return { valid: false, reason: "NOT_FOUND" };
+
+  const isActive =
+    offer.active !== undefined ? !!offer.active : offer.enabled !== undefined ? !!offer.enabled : true;
+
+  if (!isActive) return { valid: false, reason: "INACTIVE" };
+
+  let start = null;
+  let end = null;
+
+  if (offer.validity) {
+    if (offer.validity.start) start = new Date(offer.validity.start);
+    if (offer.validity.end) end = new Date(offer.validity.end);
+  } else {
+    if (offer.startAt) start = new Date(offer.startAt);
+    if (offer.endAt) end = new Date(offer.endAt);
+  }
+
+  if (start && now < start) return { valid: false, reason: "NOT_STARTED" };
+  if (end && now > end) return { valid: false, reason: "EXPIRED" };
+
+  let plans = [];
+  if (offer.appliesTo && Array.isArray(offer.appliesTo.plans)) plans = offer.appliesTo.plans;
+  else if (Array.isArray(offer.applicablePlans)) plans = offer.applicablePlans;
+
+  if (plans.length > 0 && !catalog.planIdMatches(plans, planId)) return { valid: false, reason: "PLAN_NOT_ELIGIBLE" };
+
+  const billingTypes = (offer.appliesTo && offer.appliesTo.billingTypes) || [];
+  if (billingTypes.length > 0) {
+    const bt = String(context.billingType || "").trim().toLowerCase();
+    if (!billingTypes.map((b) => String(b).toLowerCase()).includes(bt)) {
+      return { valid: false, reason: "BILLING_NOT_ELIGIBLE" };
+    }
+  }
+
+  const offerCountries = (offer.appliesTo && offer.appliesTo.countries) || [];
+  if (offerCountries.length > 0 && !offerCountries.map(normalizeCountry).includes(normalizeCountry(context.country))) {
+    return { valid: false, reason: "COUNTRY_NOT_ELIGIBLE" };
+  }
+
+  // FIXED amounts, minOrderValue and maxDiscount are rupees: a currency without an exchange rate
+  // (price-book prices only) can't convert them, and the offer would apply as a ₹0 discount
+  const currency = context.currency || currencies.BASE_CURRENCY;
+  const usesRupeeAmounts = offer.type === "FIXED" || !!offer.minOrderValue || !!offer.maxDiscount;
+  if (usesRupeeAmounts && !currencies.hasRate(currency)) {
+    return { valid: false, reason: "CURRENCY_NOT_SUPPORTED" };
+  }
+
+  // minOrderValue is rupees (GST-inclusive, before discount); converted for other currencies
+  if (offer.minOrderValue && context.orderTotal !== undefined) {
+    const minimum = currencies.convertAmount(offer.minOrderValue, currency);
+    if (Number(context.orderTotal) < minimum) return { valid: false, reason: "MIN_ORDER_NOT_MET" };
+  }
+
+  const customerRejection = checkCustomerEligibility(offer, context);
+  if (customerRejection) return { valid: false, reason: customerRejection };
+
+  if (!offerHasCapacity(offer)) return { valid: false, reason: "EXHAUSTED" };
+
+  return { valid: true, offer };
+}
+
+function describeOfferRejection(result) {
+  if (!result || result.valid || !result.reason) return null;
+  return { code: result.reason, message: OFFER_REJECTION_MESSAGES[result.reason] || "Coupon not applicable." };
+}
+
+// Offer types (all amounts in rupees; other currencies get the converted amount):
+//   PERCENT       amount % off the total, optionally capped at maxDiscount
+//   FIXED         amount off the total
+//   FIRST_MONTHS  amount % off the first `months` months (monthly: this charge, for the customer's first
+//                 `months` orders, see checkCustomerEligibility; yearly: months/12 of it), optionally capped
+//   BUNDLE        no discount; `bundle.quantity` × `bundle.planId` (e.g. a consultation) included for free
+// Any type may set minOrderValue (checked in validateOfferForPlan).
+// The returned `rule` says what was applied and whether the cap kicked in.
+function applyOffer(totalAmount, offer, { currency = currencies.BASE_CURRENCY, billingType } = {}) {
+  if (!offer) return { discount: 0, final: totalAmount, description: null, rule: null };
+
+  const percent = Number(offer.amount || 0);
+  const rule = { type: offer.type };
+  let discount = 0;
+  let fixedAmount = 0;
+
+  if (offer.type === "PERCENT") {
+    rule.percent = percent;
+    discount = currencies.roundAmount((totalAmount * percent) / 100, currency);
+  } else if (offer.type === "FIXED") {
+    fixedAmount = currencies.convertAmount(Number(offer.amount || 0), currency) ?? 0;
+    discount = currencies.roundAmount(fixedAmount, currency);
+  } else if (offer.type === "FIRST_MONTHS") {
+    const months = Math.min(Number(offer.months) || 1, 12);
+    const bt = String(billingType || "").toLowerCase();
+    const eligibleAmount = bt === "yearly" ? (totalAmount * months) / 12 : bt === "monthly" ? totalAmount : 0;
+
+    Object.assign(rule, { percent, months, eligibleAmount: currencies.roundAmount(eligibleAmount, currency) });
+    discount = currencies.roundAmount((eligibleAmount * percent) / 100, currency);
+  } else if (offer.type === "BUNDLE") {
+    const bundlePlan = catalog.findPlan(offer.bundle && offer.bundle.planId);
+    const quantity = Number(offer.bundle && offer.bundle.quantity) || 1;
+    const unitPrice = bundlePlan ? catalog.getBasePrice(bundlePlan.id, "one_time", currency) : null;
+
+    rule.bundle = {
+      planId: bundlePlan ? bundlePlan.id : null,
+      label: bundlePlan ? bundlePlan.label : "",
+      quantity,
+      value: unitPrice === null ? null : unitPrice * quantity,
+    };
+  }
+
+  if (offer.maxDiscount) {
+    const cap = currencies.convertAmount(Number(offer.maxDiscount), currency) ?? Number(offer.maxDiscount);
+    rule.maxDiscount = cap;
+    rule.capped = discount > cap;
+    if (rule.capped) {
+      rule.uncappedDiscount = discount;
+      discount = cap;
+    }
+  }
+
+  if (discount < 0) discount = 0;
+  if (discount > totalAmount) discount = totalAmount;
+
+  const final = totalAmount - discount;
+
+  let description;
+  if (offer.type === "PERCENT") {
+    description = `${offer.amount}% off via ${offer.code}`;
+  } else if (offer.type === "FIXED") {
+    description = `${currencies.formatMoney(fixedAmount, currency)} off via ${offer.code}`;
+  } else if (offer.type === "FIRST_MONTHS") {
+    description = `${offer.amount}% off the first ${rule.months} month${rule.months > 1 ? "s" : ""} via ${offer.code}`;
+  } else if (offer.type === "BUNDLE") {
+    const qty = rule.bundle.quantity > 1 ? `${rule.bundle.quantity} × ` : "";
+    description = `Free ${qty}${rule.bundle.label || "bonus"} via ${offer.code}`;
+  } else {
+    description = `Offer ${offer.code}`;
+  }
+  if (rule.capped) description += ` (capped at ${currencies.formatMoney(rule.maxDiscount, currency)})`;
+
+  rule.discount = discount;
+  return { discount, final, description, rule };
+}
+
+// What checkout responses report about an applied offer
+function offerMetaFor(offer, calc) {
+  const meta = { code: offer.code, type: offer.type, amount: offer.amount, rule: calc.rule };
+  if (offer.campaignCode) meta.campaignCode = offer.campaignCode;
+  return meta;
+}
+
+// Bundled items ride along in the order notes so fulfilment / n8n can provision them
+function bundleNotes(calc) {
+  const bundle = calc && calc.rule && calc.rule.bundle;
+  if (!bundle || !bundle.planId) return {};
+  return { bundlePlanId: bundle.planId, bundleQuantity: String(bundle.quantity) };
+}
+
+// Where a coupon comes off (OFFER_DISCOUNT_MODE globally, offer.discountMode per offer):
+//   after_tax  – off the GST-inclusive total (original behaviour); GST is backed out of what's paid
+//   before_tax – off the taxable base; GST is recomputed on the reduced base
+const OFFER_DISCOUNT_MODES = ["after_tax", "before_tax"];
+const OFFER_DISCOUNT_MODE = OFFER_DISCOUNT_MODES.includes(process.env.OFFER_DISCOUNT_MODE)
+  ? process.env.OFFER_DISCOUNT_MODE
+  : "after_tax";
+
+function offerDiscountMode(offer) {
+  return offer && OFFER_DISCOUNT_MODES.includes(offer.discountMode) ? offer.discountMode : OFFER_DISCOUNT_MODE;
+}
+
+// Prices one order with an optional offer; tax: taxForPlan() result. Returns:
+//   pricing   – checkout shape { base, gst, total, discount, final }: list GST/total, discount = total − final
+//   breakdown – tax view that always reconciles: base − discount = taxableValue, taxableValue + gst = final;
+//               breakdown.tax = { country, treatment, lines, note } (see taxSummary)
+//   calc      – applyOffer() result (description, rule)
+//   tax       – the tax it was priced with
+function priceWithOffer({ base, tax, offer, currency = currencies.BASE_CURRENCY, billingType }) {
+  const gstRate = tax.rate;
+  const listGst = currencies.roundAmount(base * gstRate, currency);
+  const total = base + listGst;
+  const mode = offerDiscountMode(offer);
+
+  let calc;
+  let taxableValue;
+  let gst;
+  let final;
+
+  if (mode === "before_tax") {
+    calc = applyOffer(base, offer, { currency, billingType });
+    taxableValue = base - calc.discount;
+    gst = currencies.roundAmount(taxableValue * gstRate, currency);
+    final = taxableValue + gst;
+  } else {
+    calc = applyOffer(total, offer, { currency, billingType });
+    final = total - calc.discount;
+    taxableValue = gstRate ? currencies.roundAmount(final / (1 + gstRate), currency) : final;
+    gst = final - taxableValue;
+  }
+
+  return {
+    calc,
+    pricing: { base, gst: listGst, total, discount: total - final, final },
+    breakdown: {
+      base,
+      discount: base - taxableValue,
+      taxableValue,
+      gstRate,
+      gst,
+      final,
+      discountMode: offer ? mode : null,
+      tax: taxSummary(tax, gst),
+    },
+    tax,
+  };
+}
+
+// Tax line breakdown shown at checkout and on the thank-you page
+function taxSummary(tax, amount) {
+  return { country: tax.country, treatment: tax.treatment, lines: taxLines(tax, amount), note: tax.note || null };
+}
+
+function taxNotes(tax) {
+  return { taxCountry: tax.country, taxTreatment: tax.treatment, taxName: tax.tax || "", taxRate: String(tax.rate) };
+}
+
+// The tax an order was priced with, from its notes. Orders from before the tax engine charged
+// 18% GST to buyers in India and nothing to anyone else.
+function taxFromNotes(notes = {}) {
+  if (notes.taxTreatment) {
+    return {
+      country: notes.taxCountry || null,
+      treatment: notes.taxTreatment,
+      tax: notes.taxName || null,
+      rate: Number(notes.taxRate) || 0,
+    };
+  }
+  if ((Number(notes.gstAmount) || 0) > 0) {
+    return { country: "IN", treatment: "domestic", tax: "GST", rate: LEGACY_GST_RATE };
+  }
+  return { country: countries.countryCode(notes.country), treatment: "export", tax: null, rate: 0 };
+}
+
+// Accounting notes for an order. `discount` keeps its customer-facing meaning (grossTotal − finalAmount);
+// basePrice − taxableDiscount = taxableValue and taxableValue + gstAmount = finalAmount always reconcile.
+function pricingNotes({ pricing, breakdown, tax }) {
+  return {
+    basePrice: String(breakdown.base),
+    discount: String(pricing.discount),
+    taxableDiscount: String(breakdown.discount),
+    taxableValue: String(breakdown.taxableValue),
+    gstAmount: String(breakdown.gst),
+    grossTotal: String(pricing.total),
+    finalAmount: String(breakdown.final),
+    discountMode: breakdown.discountMode || "",
+    ...taxNotes(tax),
+  };
+}
+
+// ---------------------------------------------------------------------
+//  OFFER USAGE LIMITS (reservations + redemptions)
+//  - order creation reserves a slot (keyed by receipt id)
+//  - paid order turns the reservation into a redemption (used += 1)
+//  - unpaid reservations expire after OFFER_RESERVATION_TTL_MS
+//  Each helper is a synchronous load → check → save inside
+//  storage.transaction (BEGIN IMMEDIATE on SQLite), so two parallel
+//  checkouts — same process or not — can't both take the last slot.
+// ---------------------------------------------------------------------
+const OFFER_RESERVATION_TTL_MS = (Number(process.env.OFFER_RESERVATION_TTL_MINUTES) || 30) * 60 * 1000;
+
+function pruneOfferReservations(offer, now = Date.now()) {
+  const before = offer.reservations.length;
+  offer.reservations = offer.reservations.filter((r) => r && r.expiresAt && new Date(r.expiresAt).getTime() > now);
+  return offer.reservations.length !== before;
+}
+
+function offerHasCapacity(offer, now = Date.now()) {
+  if (offer.usageLimit === null || offer.usageLimit === undefined) return true;
+  const reservations = (offer.reservations || []).filter((r) => r && new Date(r.expiresAt).getTime() > now);
+  return (Number(offer.used) || 0) + reservations.length < offer.usageLimit;
+}
+
+function reserveOfferRedemption(couponCode, reservationId) {
+  return storage.transaction(() => {
+    const offer = findOffer(couponCode);
+    if (!offer) return { reserved: false };
+
+    const now = Date.now();
+    pruneOfferReservations(offer, now);
+
+    if (!offerHasCapacity(offer, now)) {
+      saveOffer(offer);
+      return { reserved: false };
+    }
+
+    offer.reservations.push({
+      id: reservationId,
+      reservedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + OFFER_RESERVATION_TTL_MS).toISOString(),
+    });
+
+    saveOffer(offer);
+    return { reserved: true };
+  });
+}
+
+function releaseOfferReservation(couponCode, reservationId) {
+  storage.transaction(() => {
+    const offer = findOffer(couponCode);
+    if (!offer) return;
+
+    offer.reservations = offer.reservations.filter((r) => r && r.id !== reservationId);
+    pruneOfferReservations(offer);
+    saveOffer(offer);
+  });
+}
+
+// Paid order: consume the reservation (if still there) and count the redemption.
+// A payment that lands after its reservation expired is still counted.
+function commitOfferRedemption(couponCode, reservationId) {
+  storage.transaction(() => {
+    const offer = findOffer(couponCode);
+    if (!offer) return;
+
+    const hadReservation = offer.reservations.some((r) => r && r.id === reservationId);
+    offer.reservations = offer.reservations.filter((r) => r && r.id !== reservationId);
+    pruneOfferReservations(offer);
+    offer.used = (Number(offer.used) || 0) + 1;
+
+    if (!hadReservation) {
+      console.warn(`[OFFERS] Redemption for ${offer.code} without a live reservation (${reservationId}).`);
+    }
+    if (offer.usageLimit !== null && offer.used > offer.usageLimit) {
+      console.warn(`[OFFERS] ${offer.code} is over its usage limit (${offer.used}/${offer.usageLimit}).`);
+    }
+
+    saveOffer(offer);
+  });
+}
+
+// ---------------------------------------------------------------------
+//  ORDER LEDGER — every Razorpay order we create, and what happened to it
+//  status: created → paid | failed | expired, paid → refunded
+//  Unpaid orders expire together with their coupon reservation.
+// ---------------------------------------------------------------------
+const ORDERS = "orders"; // { id: razorpay order id, receipt, status, pricing, customer, ... }
+const ORDER_EXPIRY_MS = OFFER_RESERVATION_TTL_MS;
+
+const ORDER_STATUS_TRANSITIONS = {
+  created: ["paid", "failed", "expired"],
+  failed: ["paid", "failed", "expired"],
+  expired: ["paid"], // late payment on an expired quote still counts
+  paid: ["refunded"],
+  refunded: [],
+};
+
+// Ledger entry is built from the notes we sent to Razorpay, so it records exactly what was quoted.
+function ledgerEntryFromOrder(order) {
+  const notes = order.notes || {};
+  const now = new Date().toISOString();
+  const num = (v) => Number(v ?? 0) || 0;
+
+  return {
+    id: order.id,
+    receipt: order.receipt,
+    status: "created",
+    segment: String(notes.segment || "generic").toLowerCase(),
+    planId: notes.planId || null,
+    billingType: notes.billingType || null,
+    amountInPaise: order.amount,
+    currency: order.currency,
+    pricing: {
+      base: num(notes.basePrice),
+      gst: num(notes.gstAmount),
+      total: num(notes.grossTotal),
+      discount: num(notes.discount),
+      taxableValue: notes.taxableValue === undefined ? undefined : num(notes.taxableValue),
+      discountMode: notes.discountMode || undefined,
+      final: num(notes.finalAmount) || currencies.fromMinorUnits(order.amount, order.currency),
+    },
+    coupon: {
+      input: notes.couponCode || "",
+      applied: notes.offerCode || "",
+      campaign: notes.offerCampaign || undefined,
+      description: notes.offerDescription || "",
+      bundle: notes.bundlePlanId
+        ? { planId: notes.bundlePlanId, quantity: Number(notes.bundleQuantity) || 1 }
+        : undefined,
+    },
+    customer: {
+      fullName: notes.fullName || "",
+      email: notes.email || "",
+      mobile: notes.mobile || "",
+      phone: notes.phone || "",
+      whatsapp: notes.whatsapp || "",
+      company: notes.company || "",
+      gstStatus: notes.gstStatus || "",
+      gstNumber: notes.gstNumber || "",
+      gstLegalName: notes.gstLegalName || "",
+      gstVerification: notes.gstVerification || "",
+      taxId: notes.taxId || "",
+      country: notes.country || "",
+      city: notes.city || "",
+      state: notes.state || "",
+      postalCode: notes.postalCode || "",
+    },
+    paymentId: null,
+    history: [{ status: "created", at: now, source: "checkout" }],
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+// Per-customer index of the ledger, so coupon checks don't scan every order:
+// { id: "email:<email>" | "phone:<last 10 digits>",
+//   orders: { [order id]: { status, offerCode, campaign, createdAt } } }
+const CUSTOMER_ORDERS = "customer_orders";
+
+function customerIndexKeys(entry) {
+  const customer = entry.customer || {};
+  const email = String(customer.email || "").trim().toLowerCase();
+  const phones = [customer.mobile, customer.phone, customer.whatsapp].map(normalizePhone).filter(Boolean);
+  return [...new Set([email && `email:${email}`, ...phones.map((p) => `phone:${p}`)].filter(Boolean))];
+}
+
+function indexCustomerOrder(entry) {
+  customerIndexKeys(entry).forEach((key) => {
+    const index = storage.get(CUSTOMER_ORDERS, key) || { id: key, orders: {} };
+    index.orders[entry.id] = {
+      status: entry.status,
+      offerCode: String(entry.coupon?.applied || "").toUpperCase(),
+      campaign: String(entry.coupon?.campaign || "").toUpperCase(),
+      receipt: entry.receipt, // the offer reservation's id
+      createdAt: entry.createdAt,
+    };
+    storage.put(CUSTOMER_ORDERS, index);
+  });
+}
+
+// Every ledger write goes through here to keep CUSTOMER_ORDERS in step
+function saveLedgerEntry(entry) {
+  storage.transaction(() => {
+    storage.put(ORDERS, entry);
+    indexCustomerOrder(entry);
+  });
+}
+
+// One-time build of the index from a ledger written before it existed
+function migrateCustomerOrdersIndex() {
+  if (storage.get("migrations", "customer_orders_index")) return;
+  storage.transaction(() => {
+    const orders = storage.list(ORDERS);
+    orders.forEach(indexCustomerOrder);
+    storage.put("migrations", { id: "customer_orders_index", at: new Date().toISOString(), count: orders.length });
+  });
+}
+
+migrateCustomerOrdersIndex();
+
+function recordOrderCreated(order) {
+  try {
+    saveLedgerEntry(ledgerEntryFromOrder(order));
+  } catch (err) {
+    // Never fail checkout because the ledger write failed
+    console.error(`[LEDGER] Failed to record order ${order && order.id}:`, err);
+  }
+}
+
+// Returns the updated entry, or null when the order isn't in the ledger / transition isn't allowed.
+function updateOrderStatus(order_id, status, { source, payment_id, note } = {}) {
+  return storage.transaction(() => {
+    const entry = storage.get(ORDERS, order_id);
+    if (!entry) return null;
+    if (entry.status === status) return entry;
+
+    if (!(ORDER_STATUS_TRANSITIONS[entry.status] || []).includes(status)) {
+      console.warn(`[LEDGER] Ignoring ${entry.status} → ${status} for ${order_id}`);
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    entry.status = status;
+    if (payment_id) entry.paymentId = payment_id;
+    if (status === "paid") entry.paidAt = now;
+    entry.history.push({ status, at: now, source: source || null, note: note || undefined, payment_id });
+    entry.updatedAt = now;
+
+    saveLedgerEntry(entry);
+    return entry;
+  });
+}
+
+// Refunds are kept on the order; status flips to "refunded" once the full amount is back.
+function recordOrderRefund(order_id, { refund_id, amountInPaise, source, note }) {
+  return storage.transaction(() => {
+    const entry = storage.get(ORDERS, order_id);
+    if (!entry) return null;
+
+    const now = new Date().toISOString();
+    entry.refunds = entry.refunds || [];
+    if (!entry.refunds.some((r) => r.id === refund_id)) {
+      entry.refunds.push({ id: refund_id, amountInPaise, at: now, source: source || null, note: note || undefined });
+    }
+    entry.refundedInPaise = entry.refunds.reduce((sum, r) => sum + (Number(r.amountInPaise) || 0), 0);
+    entry.updatedAt = now;
+    storage.put(ORDERS, entry);
+
+    if (entry.refundedInPaise >= entry.amountInPaise && entry.status === "paid") {
+      const refunded = updateOrderStatus(order_id, "refunded", { source, note });
+      // Status only flips once, so the redemption is given back once
+      if (refunded && entry.coupon?.applied) rollbackOfferRedemption(entry.coupon.applied);
+      return refunded || entry;
+    }
+    return entry;
+  });
+}
+
+function expireStaleOrders() {
+  const cutoff = Date.now() - ORDER_EXPIRY_MS;
+  storage
+    .list(ORDERS)
+    .filter((o) => ["created", "failed"].includes(o.status) && new Date(o.createdAt).getTime() < cutoff)
+    .forEach((o) => updateOrderStatus(o.id, "expired", { source: "expiry" }));
+}
+
+// Full refund: give the redemption back so the slot can be used again.
+function rollbackOfferRedemption(couponCode) {
+  storage.transaction(() => {
+    const offer = findOffer(couponCode);
+    if (!offer) return;
+    offer.used = Math.max(0, (Number(offer.used) || 0) - 1);
+    saveOffer(offer);
+  });
+}
+
+// Create the Razorpay order, record it in the ledger, and hand the coupon slot back if Razorpay refuses.
+async function createOrderForOffer(offerMeta, options) {
+  let order;
+  try {
+    order = await razorpay.orders.create(options);
+  } catch (err) {
+    if (offerMeta) releaseOfferReservation(offerMeta.code, options.receipt);
+    throw err;
+  }
+  recordOrderCreated(order);
+  return order;
+}
+
+// ---------------------------------------------------------------------
+//  ORDERS ADMIN – API
+//  GET /api/admin/orders?from=2025-01-01&to=2025-01-31&segment=enterprise&status=created&coupon=LAUNCH
+//  (coupon also matches a campaign: every order that used one of its codes)
+//  GET /api/admin/orders/:id   (Razorpay order id or our receipt id)
+// ---------------------------------------------------------------------
+// Date-only "to" filters include the whole day
+function parseDateFilter(value, { endOfDay = false } = {}) {
+  if (!value) return null;
+  const str = String(value).trim();
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(str) && endOfDay ? `${str}T23:59:59.999Z` : str);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+const ordersQuery = validateRequest({
+  query: {
+    ...listQueryFields(),
+    segment: v.string({ max: 40 }),
+    status: v.string({ oneOf: Object.keys(ORDER_STATUS_TRANSITIONS) }),
+    coupon: v.string({ max: 64 }),
+    email: v.string({ max: 254 }),
+  },
+});
+
+app.get("/api/admin/orders", requireAdmin("orders:read"), ordersQuery, (req, res) => {
+  try {
+    expireStaleOrders();
+
+    const { segment, status, coupon, email } = req.query;
+    const from = parseDateFilter(req.query.from);
+    const to = parseDateFilter(req.query.to, { endOfDay: true });
+
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const couponCode = String(coupon || "").trim().toUpperCase();
+
+    const matches = storage
+      .list(ORDERS)
+      .filter((o) => {
+        const createdAt = new Date(o.createdAt);
+        if (from && createdAt < from) return false;
+        if (to && createdAt > to) return false;
+        if (segment && o.segment !== String(segment).toLowerCase()) return false;
+        if (status && o.status !== String(status).toLowerCase()) return false;
+        if (email && (o.customer?.email || "").toLowerCase() !== String(email).trim().toLowerCase()) return false;
+        if (
+          couponCode &&
+          String(o.coupon?.applied || "").toUpperCase() !== couponCode &&
+          String(o.coupon?.input || "").trim().toUpperCase() !== couponCode &&
+          String(o.coupon?.campaign || "").toUpperCase() !== couponCode
+        ) {
+          return false;
+        }
+        return true;
+      })
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+
+    return res.json({
+      success: true,
+      total: matches.length,
+      limit,
+      offset,
+      orders: matches.slice(offset, offset + limit),
+    });
+  } catch (err) {
+    console.error("Error in GET /api/admin/orders:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Failed to load orders");
+  }
+});
+
+app.get("/api/admin/orders/:id", requireAdmin("orders:read"), (req, res) => {
+  try {
+    expireStaleOrders();
+
+    const id = String(req.params.id || "").trim();
+    const order = storage.get(ORDERS, id) || storage.list(ORDERS).find((o) => o.receipt === id);
+    if (!order) return sendError(res, 404, "NOT_FOUND", "Order not found");
+
+    return res.json({ success: true, order });
+  } catch (err) {
+    console.error("Error in GET /api/admin/orders/:id:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Failed to load order");
+  }
+});
+
+// ---------------------------------------------------------------------
+//  REFUNDS ADMIN – API
+//  POST /api/admin/payments/:paymentId/refund  { amount?: rupees (default: all that's left), reason? }
+// ---------------------------------------------------------------------
+const REFUND_NOTIFICATIONS = "refund_notifications"; // { id: refund_id, at } — one n8n event per refund
+
+// Shaped like the /verify-payment payload so n8n can reuse its mapping
+async function notifyRefund({ refund, payment, orderDetails, ledgerEntry, reason, fullRefund, source }) {
+  if (!storage.insert(REFUND_NOTIFICATIONS, { id: refund.id, at: Date.now() })) return;
+
+  const notes = orderDetails?.notes || {};
+  const filters = { segment: ledgerEntry?.segment || notes.segment, planId: ledgerEntry?.planId || notes.planId };
+
+  const payload = {
+    source: "TGP-AI-VIDEO-RAZORPAY",
+    event: "refund",
+    refund_source: source, // "admin" | "webhook"
+    verified: true,
+    razorpay_refund_id: refund.id,
+    razorpay_payment_id: refund.payment_id || payment?.id,
+    razorpay_order_id: orderDetails?.id || payment?.order_id || null,
+
+    // ✅ server-authoritative (refund amount, not the order amount)
+    amount_in_paise: refund.amount ?? null,
+    currency: String(refund.currency || payment?.currency || "INR"),
+    refund_status: refund.status,
+    full_refund: !!fullRefund,
+    reason: reason || "",
+
+    customer: ledgerEntry?.customer || {},
+    plan: ledgerEntry
+      ? {
+          planId: ledgerEntry.planId,
+          legacyPlanId: catalog.legacyPlanId(ledgerEntry.planId),
+          billingType: ledgerEntry.billingType,
+        }
+      : {},
+    meta: {
+      razorpay_order_notes: orderDetails?.notes || {},
+    },
+    refund_details: refund,
+    payment_details: payment || {},
+    order_details: orderDetails || {},
+    refunded_at: new Date().toISOString(),
+  };
+
+  emitEvent("payment.refunded", payload, filters);
+}
+
+// amount: major units of the payment's currency (default: all that's left)
+const refundBody = validateRequest({ body: { amount: v.number({ min: 0.01 }), reason: v.string({ max: 250 }) } });
+
+app.post("/api/admin/payments/:paymentId/refund", requireAdmin("payments:refund"), refundBody, async (req, res) => {
+  try {
+    const paymentId = String(req.params.paymentId || "").trim();
+    const { amount, reason } = req.body || {};
+
+    let payment = null;
+    try {
+      payment = await razorpay.payments.fetch(paymentId);
+    } catch (fetchErr) {
+      console.error("Error fetching payment for refund:", fetchErr.message);
+    }
+    if (!payment || !payment.id) return sendError(res, 404, "NOT_FOUND", "Payment not found");
+
+    if (payment.status !== "captured" && payment.status !== "refunded") {
+      return sendError(
+        res,
+        409,
+        "PAYMENT_NOT_REFUNDABLE",
+        `Payment is ${payment.status}; only captured payments can be refunded`
+      );
+    }
+
+    const refundableInPaise = Number(payment.amount) - (Number(payment.amount_refunded) || 0);
+    if (refundableInPaise <= 0) {
+      return sendError(res, 409, "ALREADY_REFUNDED", "Payment is already fully refunded");
+    }
+
+    // amount is in major units of the payment's currency; *InPaise values are its minor units
+    const paymentCurrency = String(payment.currency || "INR");
+    let amountInPaise = refundableInPaise;
+    if (amount !== undefined && amount !== null && amount !== "") {
+      amountInPaise = currencies.toMinorUnits(amount, paymentCurrency);
+      if (!Number.isFinite(amountInPaise) || amountInPaise <= 0) {
+        return invalidField(res, "amount", "OUT_OF_RANGE", "amount must be > 0");
+      }
+      if (amountInPaise > refundableInPaise) {
+        const refundable = currencies.fromMinorUnits(refundableInPaise, paymentCurrency);
+        const label = currencies.formatMoney(refundable, paymentCurrency);
+        return invalidField(res, "amount", "OUT_OF_RANGE", `amount exceeds refundable balance (${label})`);
+      }
+    }
+
+    const note = String(reason || "").slice(0, 250);
+
+    let refund;
+    try {
+      refund = await razorpay.payments.refund(paymentId, {
+        amount: amountInPaise,
+        notes: { reason: note, initiated_by: "admin" },
       });
+    } catch (refundErr) {
+      console.error("Razorpay refund failed:", refundErr);
+      return sendError(res, 502, "PAYMENT_PROVIDER_ERROR", "Razorpay refund failed");
+    }
+
+    console.log("[REFUND] Created", { refund_id: refund.id, payment_id: paymentId, amountInPaise });
+
+    const fullRefund = amountInPaise === refundableInPaise;
+
+    let orderDetails = null;
+    if (payment.order_id) {
+      try {
+        orderDetails = await razorpay.orders.fetch(payment.order_id);
+      } catch (orderErr) {
+        console.error("Error fetching order for refund:", orderErr.message);
+      }
+    }
+
+    const ledgerEntry = payment.order_id
+      ? recordOrderRefund(payment.order_id, {
+          refund_id: refund.id,
+          amountInPaise: refund.amount ?? amountInPaise,
+          source: "admin",
+          note,
+        })
+      : null;
+
+    await notifyRefund({ refund, payment, orderDetails, ledgerEntry, reason: note, fullRefund, source: "admin" });
+
+    return res.json({
+      success: true,
+      refund: {
+        id: refund.id,
+        payment_id: paymentId,
+        amount: currencies.fromMinorUnits(refund.amount ?? amountInPaise, paymentCurrency),
+        amountInPaise: refund.amount ?? amountInPaise,
+        currency: paymentCurrency,
+        status: refund.status,
+      },
+      fullRefund,
+      order: ledgerEntry,
+    });
+  } catch (err) {
+    console.error("Error in POST /api/admin/payments/:paymentId/refund:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Failed to refund payment");
+  }
+});
+
+// ---------------------------------------------------------------------
+//  GST TAX INVOICES — issued once per paid order (see invoices.js)
+//  Numbered per financial year: <INVOICE_PREFIX>/<FY>/<6-digit sequence>
+//  Only on a durable backend: numbers must never repeat across restarts.
+//  An invoice that fails at fulfilment is queued and retried in the background.
+//  Download link is signed like the thank-you link:
+//    GET /api/invoice?invoice_id=...&ts=...&sig=...&format=pdf|json
+// ---------------------------------------------------------------------
+const INVOICES = "invoices"; // { id: order_id, number, ...invoice JSON }
+const INVOICE_COUNTERS = "invoice_counters"; // { id: financial year, last }
+const INVOICE_RETRIES = "invoice_retries"; // { id: order_id, payment_id, orderDetails, attempts, nextAttemptAt }
+const INVOICE_RETRY_INTERVAL_MS = 60 * 1000;
+const INVOICE_RETRY_BACKOFF_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000];
+
+const INVOICE_SELLER = {
+  legalName: process.env.SELLER_LEGAL_NAME || "",
+  gstin: String(process.env.SELLER_GSTIN || "").trim().toUpperCase(),
+  address: process.env.SELLER_ADDRESS || "",
+};
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || "VVAS";
+const INVOICE_SAC_CODE = process.env.INVOICE_SAC_CODE || "998399";
+const INVOICE_SIG_SECRET = process.env.INVOICE_SIG_SECRET || THANKYOU_SIG_SECRET;
+const INVOICE_LINK_TTL_MS = (Number(process.env.INVOICE_LINK_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Optional: absolute invoice links (this API's public origin)
+const PUBLIC_API_BASE_URL = process.env.PUBLIC_API_BASE_URL || "";
+
+function signInvoiceV1({ invoice_id, ts }) {
+  if (!INVOICE_SIG_SECRET) {
+    throw new Error("INVOICE_SIG_SECRET not configured");
+  }
+
+  const canonical = `v1|invoice_id=${invoice_id}|ts=${ts}`;
+  const mac = crypto.createHmac("sha256", INVOICE_SIG_SECRET).update(canonical).digest();
+  return base64url(mac);
+}
+
+function buildInvoiceLinkV1(invoice, format = "pdf") {
+  const ts = Date.now().toString();
+  const sig = signInvoiceV1({ invoice_id: invoice.id, ts });
+  const relative =
+    `/api/invoice?invoice_id=${encodeURIComponent(invoice.id)}` +
+    `&ts=${encodeURIComponent(ts)}` +
+    `&sig=${encodeURIComponent(sig)}` +
+    `&format=${format}`;
+  return PUBLIC_API_BASE_URL ? joinUrl(PUBLIC_API_BASE_URL, relative) : relative;
+}
+
+function nextInvoiceNumber(financialYear) {
+  const counter = storage.get(INVOICE_COUNTERS, financialYear) || { id: financialYear, last: 0 };
+  counter.last += 1;
+  storage.put(INVOICE_COUNTERS, counter);
+  return `${INVOICE_PREFIX}/${financialYear}/${String(counter.last).padStart(6, "0")}`;
+}
+
+// Idempotent: a second call for the same order returns the first invoice (and burns no number).
+function issueInvoiceForOrder({ orderDetails, payment_id }) {
+  if (!INVOICE_SELLER.gstin) {
+    console.warn("[INVOICE] SELLER_GSTIN not configured; skipping invoice for", orderDetails.id);
+    return null;
+  }
+  if (!storage.durable) {
+    console.warn(`[INVOICE] STORAGE_BACKEND=${storage.backend} is not durable; skipping invoice for`, orderDetails.id);
+    return null;
+  }
+
+  return storage.transaction(() => {
+    const existing = storage.get(INVOICES, orderDetails.id);
+    if (existing) return existing;
+
+    const notes = orderDetails.notes || {};
+    const plan = catalog.findPlan(notes.planId);
+    const description =
+      `${plan ? plan.label : "VVAS"}` + (notes.billingType ? ` (${String(notes.billingType).replace("_", "-")})` : "");
+
+    const issuedAt = new Date().toISOString();
+    const invoice = invoicing.buildTaxInvoice({
+      number: nextInvoiceNumber(invoicing.financialYearOf(new Date(issuedAt))),
+      issuedAt,
+      order: orderDetails,
+      payment_id,
+      seller: INVOICE_SELLER,
+      description,
+      sacCode: INVOICE_SAC_CODE,
+      gstRate: LEGACY_GST_RATE, // orders without a taxRate note
+    });
+
+    storage.put(INVOICES, invoice);
+    console.log("[INVOICE] Issued", invoice.number, "for", orderDetails.id);
+    return invoice;
+  });
+}
+
+// Fulfilment failed to issue the invoice: keep what's needed to try again
+function queueInvoiceRetry({ orderDetails, payment_id }, err) {
+  try {
+    const previous = storage.get(INVOICE_RETRIES, orderDetails.id);
+    const attempts = previous ? previous.attempts + 1 : 1;
+    const delay = INVOICE_RETRY_BACKOFF_MS[Math.min(attempts, INVOICE_RETRY_BACKOFF_MS.length) - 1];
+
+    storage.put(INVOICE_RETRIES, {
+      id: orderDetails.id,
+      payment_id,
+      orderDetails,
+      attempts,
+      lastError: String((err && err.message) || err),
+      nextAttemptAt: Date.now() + delay,
+      createdAt: previous ? previous.createdAt : new Date().toISOString(),
+    });
+  } catch (queueErr) {
+    console.error(`[INVOICE] Could not queue a retry for ${orderDetails.id}:`, queueErr);
+  }
+}
+
+// Retries never give up: an order that was paid for must end up with an invoice
+function retryFailedInvoices(now = Date.now()) {
+  storage
+    .list(INVOICE_RETRIES)
+    .filter((retry) => retry.nextAttemptAt <= now)
+    .forEach((retry) => {
+      try {
+        const invoice = issueInvoiceForOrder({ orderDetails: retry.orderDetails, payment_id: retry.payment_id });
+        if (!invoice) return; // misconfigured: keep it queued until SELLER_GSTIN is set
+        storage.remove(INVOICE_RETRIES, retry.id);
+        console.log(`[INVOICE] Retry #${retry.attempts} issued ${invoice.number} for ${retry.id}`);
+      } catch (err) {
+        console.error(`[INVOICE] Retry #${retry.attempts} for ${retry.id} failed:`, err);
+        queueInvoiceRetry(retry, err);
+      }
+    });
+}
+
+setInterval(() => {
+  try {
+    retryFailedInvoices();
+  } catch (err) {
+    console.error("[INVOICE] Retry sweep failed:", err);
+  }
+}, INVOICE_RETRY_INTERVAL_MS).unref();
+
+// Missing params keep their own code (MISSING_PARAMS); this only rejects malformed ones
+const invoiceLinkQuery = validateRequest({
+  query: {
+    invoice_id: v.string({ max: 100 }),
+    ts: v.string({ pattern: /^\d{10,13}$/, patternMessage: "must be a unix timestamp" }),
+    sig: v.string({ max: 128 }),
+    format: v.string({ oneOf: ["pdf", "json"] }),
+  },
+});
+
+app.get("/api/invoice", invoiceLinkQuery, async (req, res) => {
+  try {
+    if (!INVOICE_SIG_SECRET) {
+      return sendError(res, 500, "MISCONFIGURED", "INVOICE_SIG_SECRET not configured.");
+    }
+
+    const invoice_id = String(req.query.invoice_id || "");
+    const ts = String(req.query.ts || "");
+    const sig = String(req.query.sig || "");
+    const format = String(req.query.format || "pdf").toLowerCase();
+
+    if (!invoice_id || !ts || !sig) {
+      return sendError(res, 400, "MISSING_PARAMS", "Missing verification params.");
+    }
+
+    const tsNum = Number(ts);
+    if (!Number.isFinite(tsNum) || Date.now() - tsNum > INVOICE_LINK_TTL_MS) {
+      return sendError(res, 401, "EXPIRED_TS", "Link expired.");
+    }
+
+    if (!timingSafeEqualStr(signInvoiceV1({ invoice_id, ts }), sig)) {
+      return sendError(res, 401, "INVALID_SIGNATURE", "Verification failed.");
+    }
+
+    const invoice = storage.get(INVOICES, invoice_id);
+    if (!invoice) {
+      return sendError(res, 404, "NOT_FOUND", "Invoice not found.");
+    }
+
+    if (format === "json") return res.json(invoice);
+
+    const pdf = await invoicing.renderInvoicePdf(invoice);
+    res.set("Content-Type", "application/pdf");
+    res.set("Content-Disposition", `attachment; filename="${invoice.number.replace(/\//g, "-")}.pdf"`);
+    return res.send(pdf);
+  } catch (err) {
+    console.error("Error in GET /api/invoice:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Server error.");
+  }
+});
+
+// ---------------------------------------------------------------------
+//  INVOICES ADMIN – API
+//  GET /api/admin/invoices?fy=2026-27&from=...&to=...&email=...
+//  GET /api/admin/invoices/:id   (order id or invoice number)
+// ---------------------------------------------------------------------
+const invoicesQuery = validateRequest({
+  query: {
+    fy: v.string({ pattern: /^\d{4}-\d{2}$/, patternMessage: "must be a financial year like 2026-27" }),
+    from: v.isoDate(),
+    to: v.isoDate(),
+    email: v.string({ max: 254 }),
+  },
+});
+
+app.get("/api/admin/invoices", requireAdmin("invoices:read"), invoicesQuery, (req, res) => {
+  try {
+    const { fy, email } = req.query;
+    const from = parseDateFilter(req.query.from);
+    const to = parseDateFilter(req.query.to, { endOfDay: true });
+
+    const invoices = storage
+      .list(INVOICES)
+      .filter((inv) => {
+        const issuedAt = new Date(inv.issuedAt);
+        if (fy && inv.financialYear !== String(fy)) return false;
+        if (from && issuedAt < from) return false;
+        if (to && issuedAt > to) return false;
+        if (email && (inv.buyer?.email || "").toLowerCase() !== String(email).trim().toLowerCase()) return false;
+        return true;
+      })
+      .sort((a, b) => String(b.number).localeCompare(String(a.number)))
+      .map((inv) => ({
+        id: inv.id,
+        number: inv.number,
+        issuedAt: inv.issuedAt,
+        buyer: inv.buyer?.legalName || inv.buyer?.company || inv.buyer?.name,
+        buyerGstin: inv.buyer?.gstin,
+        supplyType: inv.supplyType,
+        totals: inv.totals,
+        pdfUrl: buildInvoiceLinkV1(inv, "pdf"),
+      }));
+
+    return res.json({ success: true, total: invoices.length, invoices });
+  } catch (err) {
+    console.error("Error in GET /api/admin/invoices:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Failed to load invoices");
+  }
+});
+
+app.get("/api/admin/invoices/:id", requireAdmin("invoices:read"), (req, res) => {
+  try {
+    const id = String(req.params.id || "").trim();
+    const invoice = storage.get(INVOICES, id) || storage.list(INVOICES).find((inv) => inv.number === id);
+    if (!invoice) return sendError(res, 404, "NOT_FOUND", "Invoice not found");
+
+    return res.json({
+      success: true,
+      invoice,
+      pdfUrl: buildInvoiceLinkV1(invoice, "pdf"),
+      jsonUrl: buildInvoiceLinkV1(invoice, "json"),
+    });
+  } catch (err) {
+    console.error("Error in GET /api/admin/invoices/:id:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Failed to load invoice");
+  }
+});
+
+// ---------------------------------------------------------------------
+//  SIMPLE HEALTH CHECK
+// ---------------------------------------------------------------------
+app.get("/", (req, res) => {
+  res.json({ status: "ok", message: "TGP Razorpay backend is running" });
+});
+
+// ---------------------------------------------------------------------
+//  THANK-YOU CONTRACT ENDPOINT (v1)
+//  GET /api/thank-you-contract?version=v1&order_id=...&payment_id=...&ts=...&sig=...
+// ---------------------------------------------------------------------
+// Missing params keep their own code (MISSING_PARAMS); a non-numeric ts is INVALID_TS
+const contractQuery = validateRequest({
+  query: {
+    version: v.string({ max: 10 }),
+    order_id: v.string({ max: 100 }),
+    payment_id: v.string({ max: 100 }),
+    ts: v.string({ max: 20 }),
+    sig: v.string({ max: 128 }),
+  },
+});
+
+function contractErrorEnvelope(req, res, next) {
+  res.locals.errorEnvelope = { version: "v1" };
+  next();
+}
+
+app.get("/api/thank-you-contract", contractErrorEnvelope, contractQuery, (req, res) => {
+  try {
+    if (!THANKYOU_SIG_SECRET) {
+      return sendError(res, 500, "MISCONFIGURED", "THANKYOU_SIG_SECRET not configured.");
+    }
+
+    const version = String(req.query.version || "v1");
+    const order_id = String(req.query.order_id || "");
+    const payment_id = String(req.query.payment_id || "");
+    const ts = String(req.query.ts || "");
+    const sig = String(req.query.sig || "");
+
+    if (version !== "v1" || !order_id || !payment_id || !ts || !sig) {
+      return sendError(res, 400, "MISSING_PARAMS", "Missing verification params.");
+    }
+
+    // Accept seconds(10) or ms(13)
+    const tsNum = Number(ts);
+    if (!Number.isFinite(tsNum)) {
+      return sendError(res, 400, "INVALID_TS", "Invalid timestamp.");
+    }
+    const tsMs = ts.length >= 13 ? tsNum : tsNum * 1000;
+    const ageMs = Math.abs(Date.now() - tsMs);
+    if (ageMs > 15 * 60 * 1000) {
+      return sendError(res, 401, "EXPIRED_TS", "Link expired.");
+    }
+
+    const expected = signThankYouV1({ order_id, payment_id, ts });
+    if (!timingSafeEqualStr(expected, sig)) {
+      return sendError(res, 401, "INVALID_SIGNATURE", "Verification failed.");
+    }
+
+    const contract = getThankYouContract({ order_id, payment_id });
+    if (!contract) {
+      return sendError(res, 404, "NOT_FOUND", "Contract not found (try again shortly).");
+    }
+
+    return res.json(contract);
+  } catch (err) {
+    console.error("Error in GET /api/thank-you-contract:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Server error.");
+  }
+});
+
+// ---------------------------------------------------------------------
+//  IDEMPOTENT ORDER CREATION (Idempotency-Key header)
+//  Same key + same body within IDEMPOTENCY_KEY_TTL_HOURS → the first response is replayed
+//  (no second Razorpay order); same key + different body → 409.
+//  Only successful responses are kept: after an error the client can retry with the same key.
+//  Keys are scoped per client (customer email, else IP): another client's key never replays
+//  someone else's order. Only hashes of route / client / key are stored, plus the response to replay.
+// ---------------------------------------------------------------------
+// { id: sha256(route|client|key), bodyHash, status: "processing"|"done", statusCode, response, createdAt }
+const IDEMPOTENCY_KEYS = "idempotency_keys";
+const IDEMPOTENCY_KEY_TTL_MS = (Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+// A key still "processing" after this long belongs to a request that died (crash, restart): reclaimable
+const IDEMPOTENCY_PROCESSING_TIMEOUT_MS = 2 * 60 * 1000;
+
+expireDocs(IDEMPOTENCY_KEYS, "createdAt", IDEMPOTENCY_KEY_TTL_MS);
+
+// Expired (not swept yet) or abandoned mid-request
+function isStaleIdempotencyKey(doc, now = Date.now()) {
+  if (now - doc.createdAt > IDEMPOTENCY_KEY_TTL_MS) return true;
+  return doc.status === "processing" && now - doc.createdAt > IDEMPOTENCY_PROCESSING_TIMEOUT_MS;
+}
+
+// Key order doesn't change the hash: {a,b} and {b,a} are the same request
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+function hashRequestBody(body) {
+  return crypto.createHash("sha256").update(stableStringify(body || {})).digest("hex");
+}
+
+function idempotencyRecordId(req, key) {
+  const email = requestEmail(req);
+  const client = email ? `email:${email}` : `ip:${req.ip}`;
+  return crypto.createHash("sha256").update(`${req.path}|${client}|${key}`).digest("hex");
+}
+
+function idempotentOrderCreation(req, res, next) {
+  const key = String(req.get("Idempotency-Key") || "").trim();
+  if (!key) return next();
+
+  if (key.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+    return sendError(
+      res,
+      400,
+      "INVALID_IDEMPOTENCY_KEY",
+      `Idempotency-Key must be at most ${IDEMPOTENCY_KEY_MAX_LENGTH} characters`
+    );
+  }
+
+  const id = idempotencyRecordId(req, key);
+  const bodyHash = hashRequestBody(req.body);
+  const claimed = storage.transaction(() => {
+    const stale = storage.get(IDEMPOTENCY_KEYS, id);
+    if (stale && isStaleIdempotencyKey(stale)) storage.remove(IDEMPOTENCY_KEYS, id);
+    return storage.insert(IDEMPOTENCY_KEYS, { id, bodyHash, status: "processing", createdAt: Date.now() });
+  });
+
+  if (!claimed) {
+    const existing = storage.get(IDEMPOTENCY_KEYS, id);
+
+    if (existing && existing.bodyHash !== bodyHash) {
+      return sendError(
+        res,
+        409,
+        "IDEMPOTENCY_KEY_REUSED",
+        "This Idempotency-Key was already used with a different request body."
+      );
+    }
+
+    if (existing && existing.status === "done") {
+      console.log(`[IDEMPOTENCY] Replaying ${req.path} response for key ${key}`);
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.statusCode).json(existing.response);
+    }
+
+    return sendError(
+      res,
+      409,
+      "IDEMPOTENCY_KEY_IN_PROGRESS",
+      "A request with this Idempotency-Key is still being processed. Please retry shortly."
+    );
+  }
+
+  let settled = false;
+  const originalJson = res.json.bind(res);
+
+  res.json = (body) => {
+    if (!settled) {
+      settled = true;
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        storage.put(IDEMPOTENCY_KEYS, {
+          id,
+          bodyHash,
+          status: "done",
+          statusCode: res.statusCode,
+          response: body,
+          createdAt: Date.now(),
+        });
+      } else {
+        storage.remove(IDEMPOTENCY_KEYS, id);
+      }
+    }
+    return originalJson(body);
+  };
+
+  // Called by releasingIdempotencyKey once the route handler has returned. Not on socket close:
+  // a client that gave up may retry while the order is still being created, and that retry must
+  // get the stored response. Requests that died keep the key until IDEMPOTENCY_PROCESSING_TIMEOUT_MS.
+  res.locals.releaseIdempotencyKey = () => {
+    if (!settled) {
+      settled = true;
+      storage.remove(IDEMPOTENCY_KEYS, id);
+    }
+  };
+
+  next();
+}
+
+// Wraps the handler of an order-creation route: frees its Idempotency-Key if it ended without a JSON response
+function releasingIdempotencyKey(handler) {
+  return async (req, res) => {
+    try {
+      return await handler(req, res);
+    } finally {
+      if (res.locals.releaseIdempotencyKey) res.locals.releaseIdempotencyKey();
+    }
+  };
+}
+
+// Middleware of every order-creation route: idempotency first, so a retry that replays a stored
+// response neither counts towards nor is refused by the rate limits / coupon lockout behind it
+const orderCreationGuards = [idempotentOrderCreation, orderRateLimit, couponLockoutGuard];
+
+// ---------------------------------------------------------------------
+//  GSTIN VERIFICATION (B2B checkout, see gst.js + gstVerification.js)
+//  Request schemas already reject malformed GSTINs (format, checksum, state vs. billing state).
+//  Order creation then looks the GSTIN up with GSTIN_VERIFY_PROVIDER:
+//    none (default) | stub (local dev; GSTIN_VERIFY_STUBS = JSON { GSTIN: { status, legalName } })
+//    | http (GSTIN_VERIFY_URL + GSTIN_VERIFY_API_KEY, GSTIN_VERIFY_TIMEOUT_SECONDS, default 5)
+//  Not registered / inactive → 400. If the lookup itself fails the order goes ahead unverified,
+//  unless GSTIN_VERIFY_REQUIRED=true (→ 503).
+//  The registered legal name goes into the order notes (gstLegalName), the invoice and the contract.
+// ---------------------------------------------------------------------
+const GSTIN_VERIFY_REQUIRED = String(process.env.GSTIN_VERIFY_REQUIRED || "").toLowerCase() === "true";
+
+const gstinVerifier = createGstinVerifier({
+  provider: process.env.GSTIN_VERIFY_PROVIDER || "none",
+  url: process.env.GSTIN_VERIFY_URL,
+  apiKey: process.env.GSTIN_VERIFY_API_KEY,
+  timeoutMs: (Number(process.env.GSTIN_VERIFY_TIMEOUT_SECONDS) || 5) * 1000,
+  stubs: loadGstinStubs(),
+});
+
+/**
+ * → { gstin, stateCode, legalName, tradeName, verification: "verified" | "not_checked" | "unavailable" }
+ *   or { error: { status, code, message } } when the GSTIN can't be billed
+ */
+async function verifyBuyerGstin(gstNumber) {
+  const checked = gst.checkGstin(gstNumber);
+  if (!checked.valid) {
+    return { error: { status: 400, code: "INVALID_FORMAT", message: GSTIN_PROBLEMS[checked.reason] } };
+  }
+
+  let lookup;
+  try {
+    lookup = await gstinVerifier.verify(checked.gstin);
+  } catch (err) {
+    console.error(`[GSTIN] ${gstinVerifier.name} lookup of ${checked.gstin} failed:`, err.message);
+    if (GSTIN_VERIFY_REQUIRED) {
+      const message = "GSTIN verification is temporarily unavailable, please try again shortly.";
+      return { error: { status: 503, code: "GSTIN_VERIFICATION_UNAVAILABLE", message } };
+    }
+  }
+
+  if (lookup && lookup.status === "not_found") {
+    const message = "This GSTIN is not registered with GSTN, please re-check it.";
+    return { error: { status: 400, code: "NOT_REGISTERED", message } };
+  }
+  if (lookup && lookup.status !== "active") {
+    const message = "This GSTIN's registration is not active (cancelled or suspended).";
+    return { error: { status: 400, code: "INACTIVE", message } };
+  }
+
+  return {
+    gstin: checked.gstin,
+    stateCode: checked.stateCode,
+    legalName: lookup ? lookup.legalName : "",
+    tradeName: lookup ? lookup.tradeName : "",
+    verification: lookup ? "verified" : lookup === null ? "not_checked" : "unavailable",
+  };
+}
+
+// field: where the GSTIN was sent ("gstNumber", "notes.gstNumber")
+function sendGstinError(res, error, field) {
+  if (error.status === 400) return invalidField(res, field, error.code, error.message);
+  return sendError(res, error.status, error.code, error.message);
+}
+
+// Order notes of a verified GSTIN (the customer's own gstNumber is replaced by the normalized one)
+function gstinNotes(buyerGstin) {
+  return {
+    gstNumber: buyerGstin.gstin,
+    gstLegalName: buyerGstin.legalName,
+    gstVerification: buyerGstin.verification,
+  };
+}
+
+// ---------------------------------------------------------------------
+//  GENERIC CREATE RAZORPAY ORDER (ALREADY USED BY YOUR FRONTEND)
+//  Server-priced: { planId, billingType?, coupon?, country?, currency?, notes? }
+//    → price comes from the catalog (+ GST + coupon), like the enterprise route;
+//      only customer fields are taken from the client's notes.
+//  Raw: { amount, currency, receipt, notes } → admin keys with the orders:raw_amount scope only.
+//  STRICT_ORDER_PRICING=true rejects any client-sent amount, admin or not.
+// ---------------------------------------------------------------------
+const STRICT_ORDER_PRICING = String(process.env.STRICT_ORDER_PRICING || "").toLowerCase() === "true";
+
+// Client notes we keep on server-priced orders (everything pricing-related is ours)
+const GENERIC_ORDER_CUSTOMER_NOTES = [
+  "fullName",
+  "email",
+  "mobile",
+  "phone",
+  "whatsapp",
+  "company",
+  "gstStatus",
+  "gstNumber",
+  "taxId",
+  "city",
+  "state",
+  "postalCode",
+];
+
+function pickCustomerNotes(notes) {
+  const picked = {};
+  GENERIC_ORDER_CUSTOMER_NOTES.forEach((field) => {
+    if (notes && notes[field] !== undefined && notes[field] !== null) picked[field] = String(notes[field]);
+  });
+  return picked;
+}
+
+// The coupon was valid when priced, but another checkout took its last redemption meanwhile.
+// offerError stays at the top level too, where checkout has always read it.
+function couponJustExhausted(res) {
+  const offerError = describeOfferRejection({ valid: false, reason: "EXHAUSTED" });
+  res.locals.errorEnvelope = { ...res.locals.errorEnvelope, offerError };
+  return sendError(res, 409, "OFFER_EXHAUSTED", "This coupon has just reached its usage limit.", { offerError });
+}
+
+// Raw (admin) orders pass their notes through to Razorpay as they are
+const genericOrderBody = validateRequest({
+  body: {
+    planId: planIdField(),
+    billingType: billingTypeField(),
+    coupon: couponField(),
+    country: countryField(),
+    currency: currencyField(),
+    receipt: v.string({ max: 40 }),
+    amount: v.number({ integer: true, min: 1 }), // raw orders: minor units
+    notes: v.object({
+      shape: {
+        ...customerFields(),
+        ...billingFields(),
+        mobile: v.string({ max: 20 }),
+        phone: v.string({ max: 20 }),
+        whatsapp: v.string({ max: 20 }),
+        country: countryField(),
+        $refine: billingProblems,
+      },
+    }),
+  },
+});
+
+async function createServerPricedOrder(req, res, keyId) {
+  const { planId: requestedPlanId, billingType, coupon, country, currency: requestedCurrency, receipt, notes } =
+    req.body || {};
+
+  const plan = catalog.findPlan(requestedPlanId);
+  if (!plan || !catalog.isPriced(plan)) {
+    return sendError(res, 400, "INVALID_PLAN", "planId is not a priced plan");
+  }
+
+  let cycle = String(billingType || plan.billingCycles[0]).toLowerCase();
+  if (cycle === "subscription") cycle = "monthly";
+  if (!plan.billingCycles.includes(cycle)) {
+    return sendError(res, 400, "INVALID_BILLING_TYPE", `billingType must be one of: ${plan.billingCycles.join(", ")}`);
+  }
+
+  const customerCountry = country || (notes && notes.country) || "";
+  const currency = resolveCheckoutCurrency({ currency: requestedCurrency, country: customerCountry });
+  if (!currency) {
+    return sendError(res, 400, "UNSUPPORTED_CURRENCY", unsupportedCurrencyError(requestedCurrency));
+  }
+
+  const buyer = { country: customerCountry, gstStatus: notes && notes.gstStatus, taxId: notes && notes.taxId };
+  const quote = quotePlanCycle(plan.id, cycle, buyer, currency);
+  if (!quote) {
+    return sendError(res, 400, "INVALID_PLAN", "Plan is not available for this billing cycle / currency");
+  }
+
+  const buyerGstin = notes && notes.gstStatus === "yes" ? await verifyBuyerGstin(notes.gstNumber) : null;
+  if (buyerGstin && buyerGstin.error) return sendGstinError(res, buyerGstin.error, "notes.gstNumber");
+
+  const result = validateOfferForPlan(plan.id, coupon, {
+    country: customerCountry,
+    billingType: cycle,
+    orderTotal: quote.total,
+    currency,
+    customer: { email: notes && notes.email, phone: notes && (notes.mobile || notes.phone) },
+    requireCustomer: true,
+  });
+  noteCouponAttempt(req, result);
+  const offer = result.valid ? result.offer : null;
+  const priced = priceWithOffer({ base: quote.base, tax: quote.tax, offer, currency, billingType: cycle });
+  const offerMeta = offer ? offerMetaFor(offer, priced.calc) : null;
+
+  const amountInPaise = currencies.toMinorUnits(priced.breakdown.final, currency);
+  const receiptId = "VVAS_GEN_" + Date.now().toString(36) + "_" + Math.random().toString(36).slice(2, 7);
+
+  if (offerMeta && !reserveOfferRedemption(offerMeta.code, receiptId).reserved) {
+    return couponJustExhausted(res);
+  }
+
+  const customerNotes = pickCustomerNotes(notes);
+  if (buyerGstin) {
+    Object.assign(customerNotes, gstinNotes(buyerGstin));
+    if (!customerNotes.state) customerNotes.state = gst.stateName(buyerGstin.stateCode);
+  }
+
+  const orderNotes = {
+    ...customerNotes,
+    product: plan.product,
+    segment: plan.segment,
+    planId: plan.id,
+    legacyPlanId: catalog.legacyPlanId(plan.id),
+    plan: plan.segment === "starterpro" ? plan.tier : "",
+    enterprisePackage: plan.enterprisePackage || "",
+    isConsultation: plan.isConsultation ? "yes" : "no",
+    billingType: cycle,
+    country: customerCountry,
+    currency,
+    clientReceipt: receipt ? String(receipt).slice(0, 64) : "",
+    ...pricingNotes(priced),
+    couponCode: coupon || "",
+    offerCode: offerMeta ? offerMeta.code : "",
+    offerCampaign: (offerMeta && offerMeta.campaignCode) || "",
+    offerDescription: priced.calc.description || "",
+    ...bundleNotes(priced.calc),
+  };
+
+  const order = await createOrderForOffer(offerMeta, {
+    amount: amountInPaise,
+    currency,
+    receipt: receiptId,
+    notes: orderNotes,
+  });
+
+  console.log("Razorpay order created (server-priced):", order.id, plan.id, cycle);
+
+  return res.json({
+    success: true,
+    provider: "razorpay",
+    order_id: order.id,
+    amount: order.amount,
+    currency: order.currency,
+    key_id: keyId,
+    receipt: order.receipt,
+    planId: plan.id,
+    billingType: cycle,
+    pricing: priced.pricing,
+    breakdown: priced.breakdown,
+    offerApplied: !!offerMeta,
+    offer: offerMeta,
+    offerError: describeOfferRejection(result),
+  });
+}
+
+async function createRazorpayOrder(req, res) {
+  try {
+    const keyId = process.env.RAZORPAY_KEY_ID;
+    if (!keyId) {
+      return sendError(res, 500, "MISSING_KEY_ID", "RAZORPAY_KEY_ID not set");
+    }
+
+    const { amount, currency, receipt, notes, planId } = req.body || {};
+    const hasClientAmount = amount !== undefined && amount !== null && amount !== "";
+
+    if (hasClientAmount && STRICT_ORDER_PRICING) {
+      return sendError(res, 400, "CLIENT_AMOUNT_REJECTED", "Amounts are priced by the server; send planId instead.");
+    }
+
+    if (planId) {
+      if (hasClientAmount) console.warn("[ORDER] Ignoring client amount on server-priced order for", planId);
+      return await createServerPricedOrder(req, res, keyId);
+    }
+
+    if (!hasClientAmount) {
+      return sendError(res, 400, "MISSING_FIELDS", "Missing required field: planId");
+    }
+
+    if (!isAdminRequest(req)) {
+      return sendError(
+        res,
+        403,
+        "RAW_AMOUNT_FORBIDDEN",
+        "Custom amounts need an admin key with the orders:raw_amount scope; send planId."
+      );
+    }
+
+    if (!currency || !receipt) {
+      return sendError(res, 400, "MISSING_FIELDS", "Missing required fields: amount, currency, or receipt");
+    }
+
+    const amountInt = parseInt(amount, 10);
+    if (Number.isNaN(amountInt) || amountInt <= 0) {
+      return sendError(res, 400, "INVALID_AMOUNT", "Invalid amount");
+    }
+
+    const orderCurrency = currencies.normalizeCurrency(currency);
+    if (!orderCurrency) {
+      return sendError(res, 400, "UNSUPPORTED_CURRENCY", unsupportedCurrencyError(currency));
     }
 
+    // finalAmount in notes keeps the /verify-payment amount check on for admin orders too
     const options = {
       amount: amountInt,
-      currency: currency || "INR",
+      currency: orderCurrency,
       receipt: receipt,
-      notes: notes || {},
+      notes: {
+        ...(notes || {}),
+        currency: orderCurrency,
+        finalAmount: String(currencies.fromMinorUnits(amountInt, orderCurrency)),
+        pricedBy: "admin",
+      },
     };
 
     console.log("Creating Razorpay order with options:", options);
 
     const order = await razorpay.orders.create(options);
+    recordOrderCreated(order);
 
     console.log("Razorpay order created:", order.id);
 
@@ -733,421 +3511,1424 @@ app.post("/create-razorpay-order", async (req, res) => {
       currency: order.currency,
       key_id: keyId,
       receipt: order.receipt,
-      pricing: notes || {}, // keep for now; later standardize this field
+      pricing: options.notes, // keep for now; later standardize this field
     });
   } catch (err) {
     console.error("Error creating Razorpay order:", err);
-    return res.status(500).json({
-      success: false,
-      error: { code: "ORDER_CREATE_FAILED", message: "Failed to create order" },
-      details: err.message,
-    });
+    return sendError(res, 500, "ORDER_CREATE_FAILED", "Failed to create order");
   }
-});
+}
+
+app.post("/create-razorpay-order", orderCreationGuards, genericOrderBody, releasingIdempotencyKey(createRazorpayOrder));
 
 // ---------------------------------------------------------------------
 //  PUBLIC: VALIDATE OFFER FOR ONE-TIME PLAN (for checkout UI)
 // ---------------------------------------------------------------------
-app.post("/api/validate-offer", (req, res) => {
+const validateOfferBody = validateRequest({
+  body: {
+    planId: planIdField(true),
+    couponCode: couponField(),
+    basePrice: v.number({ min: 0 }),
+    billingType: billingTypeField(),
+    country: countryField(),
+    currency: currencyField(),
+    email: v.email(),
+    mobile: v.string({ max: 20 }),
+  },
+});
+
+app.post("/api/validate-offer", quoteRateLimit, couponLockoutGuard, validateOfferBody, (req, res) => {
   try {
-    const { planId, basePrice, couponCode } = req.body;
+    const { planId, basePrice, couponCode, country, billingType, currency: requestedCurrency } = req.body;
+    // optional: lets "new customers only" / per-customer coupons be checked before checkout
+    const { email, mobile } = req.body;
 
-    if (!planId) {
-      return res.status(400).json({ error: "planId is required" });
+    const currency = resolveCheckoutCurrency({ currency: requestedCurrency, country });
+    if (!currency) {
+      return sendError(res, 400, "UNSUPPORTED_CURRENCY", unsupportedCurrencyError(requestedCurrency));
     }
 
+    // basePrice (custom quotes) is taken to be in the checkout currency
     const customBasePrice = basePrice ? Number(basePrice) : undefined;
-    const { base, gst, total } = computeOneTimePrice(planId, customBasePrice);
+    const { base, gst, total, tax } = computeOneTimePrice(planId, customBasePrice, { country }, currency);
 
-    const result = validateOfferForPlan(planId, couponCode);
+    const billingTypeValue = (billingType || "one_time").toLowerCase();
+    const result = validateOfferForPlan(planId, couponCode, {
+      country,
+      billingType: billingTypeValue,
+      orderTotal: total,
+      currency,
+      customer: { email, phone: mobile },
+    });
+    noteCouponAttempt(req, result);
     if (!result.valid) {
       return res.json({
         success: true,
         planId,
+        currency,
         base,
         gst,
         total,
+        breakdown: priceWithOffer({ base, tax, currency }).breakdown,
         offerApplied: false,
+        offerError: describeOfferRejection(result),
         final: total,
       });
     }
 
-    const { discount, final, description } = applyOffer(total, result.offer);
+    const { pricing, breakdown, calc } = priceWithOffer({
+      base,
+      tax,
+      offer: result.offer,
+      currency,
+      billingType: billingTypeValue,
+    });
+    const { discount, final } = pricing;
+    const { description, rule } = calc;
 
     res.json({
       success: true,
       planId,
+      currency,
       base,
       gst,
       total,
+      breakdown,
       offerApplied: true,
       offerCode: result.offer.code,
       offerType: result.offer.type,
       offerAmount: result.offer.amount,
+      offerRule: rule,
       discount,
       final,
       offerDescription: description,
     });
   } catch (err) {
-    console.error("Error in /api/validate-offer", err);
-    res.status(500).json({ error: "Internal server error" });
+    console.error("Error in /api/validate-offer", err);
+    sendError(res, 500, "INTERNAL_ERROR", "Internal server error");
+  }
+});
+
+// ---------------------------------------------------------------------
+//  CREATE RAZORPAY ORDER FOR ONE-TIME PAYMENT (RETIRED ENDPOINT)
+// ---------------------------------------------------------------------
+app.post("/create-onetime-order", (req, res) => {
+  console.warn(
+    "[DEPRECATED] /create-onetime-order was called. " +
+      "This endpoint is retired; use /api/create-enterprise-order instead."
+  );
+
+  return sendError(
+    res,
+    410,
+    "ENDPOINT_RETIRED",
+    "This one-time checkout endpoint has been retired. Please use the Enterprise checkout flow instead."
+  );
+});
+
+// ---------------------------------------------------------------------
+//  ENTERPRISE: QUOTE PRICE (NO ORDER) — for live UI + coupon apply
+//  Send email (+ mobile) once known so per-customer coupon limits show up in the quote,
+//  and gstStatus / taxId so B2B buyers abroad see the reverse-charge price
+// ---------------------------------------------------------------------
+const enterpriseQuoteFields = () => ({
+  package: v.string({ required: true, oneOf: ENTERPRISE_PACKAGES }),
+  billingType: billingTypeField(),
+  isConsultation: v.boolean(),
+  country: countryField(),
+  currency: currencyField(),
+  coupon: couponField(),
+});
+
+const enterpriseQuoteBody = validateRequest({
+  body: {
+    ...enterpriseQuoteFields(),
+    email: v.email(),
+    mobileCountryCode: v.countryCallingCode(),
+    mobileNumber: v.phone(),
+    gstStatus: v.string({ oneOf: ["yes", "no"] }),
+    taxId: v.string({ max: 30 }),
+  },
+});
+
+app.post("/api/quote-enterprise-price", quoteRateLimit, couponLockoutGuard, enterpriseQuoteBody, (req, res) => {
+  try {
+    const {
+      package: pkg,
+      billingType,
+      country,
+      coupon,
+      isConsultation,
+      currency: requestedCurrency,
+      email,
+      mobileCountryCode,
+      mobileNumber,
+      gstStatus,
+      taxId,
+    } = req.body;
+
+    const currency = resolveCheckoutCurrency({ currency: requestedCurrency, country });
+    if (!currency) {
+      return sendError(res, 400, "UNSUPPORTED_CURRENCY", unsupportedCurrencyError(requestedCurrency));
+    }
+
+    const pkgValue = pkg === "consultation" ? "consultation" : String(pkg);
+
+    let billingTypeValue = (billingType || "monthly").toLowerCase();
+    if (billingTypeValue === "subscription") billingTypeValue = "monthly";
+
+    const consultation = pkgValue === "consultation" || Boolean(isConsultation);
+    if (consultation) billingTypeValue = "one_time";
+
+    const buyer = { country, gstStatus, taxId };
+    const { base, total, tax } = computeEnterprisePrice(pkgValue, billingTypeValue, buyer, currency);
+    const planId = getEnterprisePlanId(pkgValue);
+
+    const result = validateOfferForPlan(planId, coupon, {
+      country,
+      billingType: billingTypeValue,
+      orderTotal: total,
+      currency,
+      customer: { email, phone: fullPhone(mobileCountryCode, mobileNumber) },
+    });
+    noteCouponAttempt(req, result);
+
+    const offer = result.valid ? result.offer : null;
+    const priced = priceWithOffer({ base, tax, offer, currency, billingType: billingTypeValue });
+    const offerMeta = offer ? offerMetaFor(offer, priced.calc) : null;
+
+    return res.json({
+      success: true,
+      provider: "razorpay",
+      planId,
+      currency,
+      pricing: priced.pricing,
+      breakdown: priced.breakdown,
+      offerApplied: !!offerMeta,
+      offer: offerMeta,
+      offerError: describeOfferRejection(result),
+      billingType: billingTypeValue,
+      package: pkgValue,
+    });
+  } catch (err) {
+    console.error("Error in /api/quote-enterprise-price:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Server error quoting enterprise price.");
+  }
+});
+
+// ---------------------------------------------------------------------
+//  ENTERPRISE: CREATE RAZORPAY ORDER (60 / 90 / 120 / consultation)
+// ---------------------------------------------------------------------
+const enterpriseOrderBody = validateRequest({
+  body: {
+    ...enterpriseQuoteFields(),
+    ...customerFields(),
+    fullName: v.string({ required: true, max: 120 }),
+    email: v.email({ required: true }),
+    phoneCountryCode: v.countryCallingCode(),
+    phoneNumber: v.phone(),
+    waCountryCode: v.countryCallingCode(),
+    waNumber: v.phone(),
+    ...billingFields(),
+    $refine: billingProblems,
+  },
+});
+
+async function createEnterpriseOrder(req, res) {
+  try {
+    const keyId = process.env.RAZORPAY_KEY_ID;
+    if (!keyId) {
+      return sendError(res, 500, "MISSING_KEY_ID", "RAZORPAY_KEY_ID not set");
+    }
+
+    const {
+      fullName,
+      email,
+      mobileCountryCode,
+      mobileNumber,
+      phoneCountryCode,
+      phoneNumber,
+      waCountryCode,
+      waNumber,
+      company,
+      gstStatus,
+      gstNumber,
+      taxId,
+      country,
+      city,
+      state,
+      postalCode,
+      package: pkg,
+      billingType,
+      isConsultation,
+      coupon,
+      currency: requestedCurrency,
+    } = req.body;
+
+    const currency = resolveCheckoutCurrency({ currency: requestedCurrency, country });
+    if (!currency) {
+      return sendError(res, 400, "UNSUPPORTED_CURRENCY", unsupportedCurrencyError(requestedCurrency));
+    }
+
+    if (!mobileCountryCode || !mobileNumber) {
+      console.warn("Enterprise order without primary mobile:", { fullName, email });
+    }
+
+    const buyerGstin = gstStatus === "yes" ? await verifyBuyerGstin(gstNumber) : null;
+    if (buyerGstin && buyerGstin.error) return sendGstinError(res, buyerGstin.error, "gstNumber");
+
+    const pkgValue = pkg === "consultation" ? "consultation" : String(pkg);
+    let billingTypeValue = (billingType || "monthly").toLowerCase();
+    if (billingTypeValue === "subscription") billingTypeValue = "monthly";
+
+    const consultation = pkgValue === "consultation" || Boolean(isConsultation);
+    if (consultation) billingTypeValue = "one_time";
+
+    const buyer = { country, gstStatus, taxId };
+    const { base, total, tax } = computeEnterprisePrice(pkgValue, billingTypeValue, buyer, currency);
+
+    const planId = getEnterprisePlanId(pkgValue);
+
+    const result = validateOfferForPlan(planId, coupon, {
+      country,
+      billingType: billingTypeValue,
+      orderTotal: total,
+      currency,
+      customer: { email, phone: fullPhone(mobileCountryCode, mobileNumber) },
+      requireCustomer: true,
+    });
+    noteCouponAttempt(req, result);
+    const offer = result.valid ? result.offer : null;
+    const priced = priceWithOffer({ base, tax, offer, currency, billingType: billingTypeValue });
+    const offerMeta = offer ? offerMetaFor(offer, priced.calc) : null;
+    const finalAmount = priced.breakdown.final;
+
+    // Razorpay amount in the currency's minor units (paise, cents, ...)
+    const amountInPaise = currencies.toMinorUnits(finalAmount, currency);
+
+    const receiptId = "VVAS_ENT_" + Date.now().toString(36) + "_" + Math.random().toString(36).slice(2, 7);
+
+    if (offerMeta && !reserveOfferRedemption(offerMeta.code, receiptId).reserved) {
+      return couponJustExhausted(res);
+    }
+
+    const order = await createOrderForOffer(offerMeta, {
+      amount: amountInPaise,
+      currency,
+      receipt: receiptId,
+      notes: {
+        product: "VVAS",
+        segment: "enterprise",
+        planId,
+        legacyPlanId: catalog.legacyPlanId(planId),
+        enterprisePackage: pkgValue,
+        billingType: billingTypeValue,
+        isConsultation: consultation ? "yes" : "no",
+        fullName,
+        email,
+        mobile: fullPhone(mobileCountryCode, mobileNumber),
+        phone: fullPhone(phoneCountryCode, phoneNumber),
+        whatsapp: fullPhone(waCountryCode, waNumber),
+        company: company || "",
+        gstStatus: gstStatus || "",
+        gstNumber: gstNumber || "",
+        ...(buyerGstin ? gstinNotes(buyerGstin) : {}),
+        taxId: taxId || "",
+        country: country || "",
+        city: city || "",
+        state: state || (buyerGstin ? gst.stateName(buyerGstin.stateCode) : ""),
+        postalCode: postalCode || "",
+        currency,
+        ...pricingNotes(priced),
+        couponCode: coupon || "",
+        offerCode: offerMeta ? offerMeta.code : "",
+        offerCampaign: (offerMeta && offerMeta.campaignCode) || "",
+        offerDescription: priced.calc.description || "",
+        ...bundleNotes(priced.calc),
+      },
+    });
+
+    // Keep backward-compatible fields, but also add canonical ones
+    return res.json({
+      success: true,
+      provider: "razorpay",
+      key_id: keyId,
+      order_id: order.id,
+
+      // legacy (keep until frontend migration complete)
+      razorpayKey: keyId,
+      orderId: order.id,
+
+      amount: finalAmount,
+      amountInPaise,
+      currency: order.currency,
+      planId,
+      pricing: priced.pricing,
+      breakdown: priced.breakdown,
+      offerApplied: !!offerMeta,
+      offer: offerMeta,
+      offerError: describeOfferRejection(result),
+      description: consultation
+        ? "VVAS – Paid consultation call (enterprise)"
+        : `VVAS Enterprise – ${pkgValue} videos / month (${billingTypeValue})`,
+    });
+  } catch (err) {
+    console.error("Error in /api/create-enterprise-order:", err);
+    return sendError(res, 500, "ORDER_CREATE_FAILED", "Server error creating enterprise order.");
+  }
+}
+
+app.post(
+  "/api/create-enterprise-order",
+  orderCreationGuards,
+  enterpriseOrderBody,
+  releasingIdempotencyKey(createEnterpriseOrder)
+);
+
+// ---------------------------------------------------------------------
+//  STARTER/PRO: CREATE RAZORPAY ORDER (with offers.json)
+//  email / mobileCountryCode + mobileNumber identify the customer for per-customer coupons
+//  Business buyers send gstStatus / gstNumber (India) or taxId (abroad: reverse charge)
+// ---------------------------------------------------------------------
+const starterProOrderBody = validateRequest({
+  body: {
+    plan: v.string({ required: true, oneOf: ["starter", "pro"], ignoreCase: true }),
+    billingType: v.string({ oneOf: ["monthly", "yearly", "subscription"], ignoreCase: true }),
+    country: countryField(),
+    currency: currencyField(),
+    coupon: couponField(),
+    ...customerFields(),
+    ...billingFields(),
+    $refine: billingProblems,
+  },
+});
+
+async function createStarterProOrder(req, res) {
+  try {
+    const keyId = process.env.RAZORPAY_KEY_ID;
+    if (!keyId) {
+      return sendError(res, 500, "MISSING_KEY_ID", "RAZORPAY_KEY_ID not set");
+    }
+
+    const {
+      plan,
+      billingType,
+      country,
+      coupon,
+      currency: requestedCurrency,
+      fullName,
+      email,
+      mobileCountryCode,
+      mobileNumber,
+      company,
+      gstStatus,
+      gstNumber,
+      taxId,
+      city,
+      state,
+      postalCode,
+    } = req.body;
+
+    const currency = resolveCheckoutCurrency({ currency: requestedCurrency, country });
+    if (!currency) {
+      return sendError(res, 400, "UNSUPPORTED_CURRENCY", unsupportedCurrencyError(requestedCurrency));
+    }
+
+    const buyerGstin = gstStatus === "yes" ? await verifyBuyerGstin(gstNumber) : null;
+    if (buyerGstin && buyerGstin.error) return sendGstinError(res, buyerGstin.error, "gstNumber");
+
+    const planNormalized = String(plan).trim().toLowerCase() === "pro" ? "pro" : "starter";
+    const catalogPlan = catalog.findStarterProPlan(planNormalized);
+
+    let bt = (billingType || "monthly").toLowerCase();
+    if (bt === "subscription") bt = "monthly";
+
+    const cycle = bt === "yearly" ? "yearly" : "monthly";
+    const base = catalogPlan ? catalog.getBasePrice(catalogPlan.id, cycle, currency) : null;
+    if (!base) {
+      return sendError(res, 400, "INVALID_PLAN", "Plan is not available for this billing cycle / currency");
+    }
+
+    const planId = catalogPlan.id;
+
+    const { total, tax } = addTax(base, taxForPlan(planId, { country, gstStatus, taxId }), currency);
+
+    const mobile = fullPhone(mobileCountryCode, mobileNumber);
+    const result = validateOfferForPlan(planId, coupon, {
+      country,
+      billingType: bt,
+      orderTotal: total,
+      currency,
+      customer: { email, phone: mobile },
+      requireCustomer: true,
+    });
+    noteCouponAttempt(req, result);
+    const offer = result.valid ? result.offer : null;
+    const priced = priceWithOffer({ base, tax, offer, currency, billingType: bt });
+    const offerMeta = offer ? offerMetaFor(offer, priced.calc) : null;
+    const finalAmount = priced.breakdown.final;
+
+    // Razorpay amount in the currency's minor units (paise, cents, ...)
+    const amountInPaise = currencies.toMinorUnits(finalAmount, currency);
+    const receiptId = "VVAS_SP_" + Date.now().toString(36) + "_" + Math.random().toString(36).slice(2, 7);
+
+    if (offerMeta && !reserveOfferRedemption(offerMeta.code, receiptId).reserved) {
+      return couponJustExhausted(res);
+    }
+
+    const order = await createOrderForOffer(offerMeta, {
+      amount: amountInPaise,
+      currency,
+      receipt: receiptId,
+      notes: {
+        product: "VVAS",
+        segment: "starterpro",
+        planId,
+        legacyPlanId: catalog.legacyPlanId(planId),
+        plan: planNormalized,
+        billingType: bt,
+        fullName: fullName || "",
+        email: email || "",
+        mobile,
+        company: company || "",
+        gstStatus: gstStatus || "",
+        gstNumber: gstNumber || "",
+        ...(buyerGstin ? gstinNotes(buyerGstin) : {}),
+        taxId: taxId || "",
+        country: country || "",
+        city: city || "",
+        state: state || (buyerGstin ? gst.stateName(buyerGstin.stateCode) : ""),
+        postalCode: postalCode || "",
+        currency,
+        ...pricingNotes(priced),
+        couponCode: coupon || "",
+        offerCode: offerMeta ? offerMeta.code : "",
+        offerCampaign: (offerMeta && offerMeta.campaignCode) || "",
+        offerDescription: priced.calc.description || "",
+        ...bundleNotes(priced.calc),
+      },
+    });
+
+    // Keep backward-compatible fields, but also add canonical ones
+    return res.json({
+      success: true,
+      provider: "razorpay",
+      key_id: keyId,
+      order_id: order.id,
+
+      // legacy (keep until frontend migration complete)
+      razorpayKey: keyId,
+      orderId: order.id,
+
+      amount: finalAmount,
+      amountInPaise,
+      currency: order.currency,
+      planId,
+      pricing: priced.pricing,
+      breakdown: priced.breakdown,
+      offerApplied: !!offerMeta,
+      offer: offerMeta,
+      offerError: describeOfferRejection(result),
+    });
+  } catch (err) {
+    console.error("Error in /api/create-starterpro-order:", err);
+    return sendError(res, 500, "ORDER_CREATE_FAILED", "Server error creating starter/pro order.");
   }
-});
-
-// ---------------------------------------------------------------------
-//  CREATE RAZORPAY ORDER FOR ONE-TIME PAYMENT (RETIRED ENDPOINT)
-// ---------------------------------------------------------------------
-app.post("/create-onetime-order", (req, res) => {
-  console.warn(
-    "[DEPRECATED] /create-onetime-order was called. " +
-      "This endpoint is retired; use /api/create-enterprise-order instead."
-  );
+}
 
-  return res.status(410).json({
-    success: false,
-    message:
-      "This one-time checkout endpoint has been retired. " +
-      "Please use the Enterprise checkout flow instead.",
-  });
-});
+app.post(
+  "/api/create-starterpro-order",
+  orderCreationGuards,
+  starterProOrderBody,
+  releasingIdempotencyKey(createStarterProOrder)
+);
 
 // ---------------------------------------------------------------------
-//  ENTERPRISE: QUOTE PRICE (NO ORDER) — for live UI + coupon apply
+//  SUBSCRIPTIONS: RECURRING STARTER/PRO + ENTERPRISE (Razorpay Subscriptions API)
+//  Razorpay plan ids are looked up (or created) from the catalog on demand;
+//  one Razorpay plan per catalog plan × billing cycle × charged amount.
+//  Coupons are not applied to subscriptions (Razorpay only supports its own offers there):
+//  a request with one is refused with COUPON_NOT_SUPPORTED.
 // ---------------------------------------------------------------------
-app.post("/api/quote-enterprise-price", (req, res) => {
-  try {
-    const { package: pkg, billingType, country, coupon, isConsultation } = req.body || {};
-
-    if (!pkg) {
-      return res.status(400).json({ success: false, error: "package is required" });
-    }
-
-    const pkgValue = pkg === "consultation" ? "consultation" : String(pkg);
-
-    let billingTypeValue = (billingType || "monthly").toLowerCase();
-    if (billingTypeValue === "subscription") billingTypeValue = "monthly";
+const SUBSCRIPTION_TOTAL_COUNT = {
+  monthly: Number(process.env.SUBSCRIPTION_TOTAL_COUNT_MONTHLY) || 120,
+  yearly: Number(process.env.SUBSCRIPTION_TOTAL_COUNT_YEARLY) || 10,
+};
 
-    const consultation = pkgValue === "consultation" || Boolean(isConsultation);
-    if (consultation) billingTypeValue = "one_time";
+const razorpayPlanIdCache = new Map(); // catalogKey -> Promise<razorpay plan id>
 
-    const { base, gst, total } = computeEnterprisePrice(pkgValue, billingTypeValue, country);
-    const planId = getEnterprisePlanId(pkgValue, billingTypeValue);
+// INR keys keep their original shape so plans created before multi-currency are still found
+function razorpayPlanCatalogKey({ plan, billingCycle, amountInPaise, currency }) {
+  const key = `${plan.id}|${billingCycle}|${amountInPaise}`;
+  return currency === currencies.BASE_CURRENCY ? key : `${key}|${currency}`;
+}
 
-    const result = validateOfferForPlan(planId, coupon);
+async function findOrCreateRazorpayPlan({ plan, billingCycle, amountInPaise, currency }) {
+  const catalogKey = razorpayPlanCatalogKey({ plan, billingCycle, amountInPaise, currency });
+
+  // Razorpay has no lookup by notes, so page through our plans once and remember the answer.
+  const pageSize = 100;
+  for (let skip = 0; ; skip += pageSize) {
+    const page = await razorpay.plans.all({ count: pageSize, skip });
+    const items = (page && page.items) || [];
+    const existing = items.find((p) => p.notes && p.notes.catalogKey === catalogKey);
+    if (existing) return existing.id;
+    if (items.length < pageSize) break;
+  }
 
-    let finalAmount = total;
-    let discount = 0;
-    let offerMeta = null;
+  const created = await razorpay.plans.create({
+    period: billingCycle,
+    interval: 1,
+    item: {
+      name: `${plan.label} (${billingCycle})`,
+      amount: amountInPaise,
+      currency,
+      description: `${plan.product} ${plan.label} – billed ${billingCycle}`,
+    },
+    notes: { catalogKey, planId: plan.id, billingType: billingCycle },
+  });
 
-    if (result.valid) {
-      const calc = applyOffer(total, result.offer);
-      finalAmount = calc.final;
-      discount = calc.discount;
-      offerMeta = { code: result.offer.code, type: result.offer.type, amount: result.offer.amount };
-    }
+  console.log("Razorpay plan created:", created.id, catalogKey);
+  return created.id;
+}
 
-    return res.json({
-      success: true,
-      provider: "razorpay",
-      planId,
-      pricing: { base, gst, total, discount, final: finalAmount },
-      offerApplied: !!offerMeta,
-      offer: offerMeta,
-      billingType: billingTypeValue,
-      package: pkgValue,
+function getRazorpayPlanId({ plan, billingCycle, amountInPaise, currency }) {
+  const catalogKey = razorpayPlanCatalogKey({ plan, billingCycle, amountInPaise, currency });
+  if (!razorpayPlanIdCache.has(catalogKey)) {
+    // Cache the promise so parallel checkouts don't create duplicate plans
+    const pending = findOrCreateRazorpayPlan({ plan, billingCycle, amountInPaise, currency }).catch((err) => {
+      razorpayPlanIdCache.delete(catalogKey);
+      throw err;
     });
-  } catch (err) {
-    console.error("Error in /api/quote-enterprise-price:", err);
-    return res.status(500).json({ success: false, error: "Server error quoting enterprise price." });
+    razorpayPlanIdCache.set(catalogKey, pending);
   }
+  return razorpayPlanIdCache.get(catalogKey);
+}
+
+const subscriptionBody = validateRequest({
+  body: {
+    planId: planIdField(true),
+    billingType: v.string({ oneOf: ["monthly", "yearly", "subscription"], ignoreCase: true }),
+    country: countryField(),
+    currency: currencyField(),
+    coupon: couponField(), // refused below, rather than silently charging the full price
+    couponCode: couponField(),
+    ...customerFields(),
+    email: v.email({ required: true }),
+    ...billingFields(),
+    $refine: billingProblems,
+  },
 });
 
-// ---------------------------------------------------------------------
-//  ENTERPRISE: CREATE RAZORPAY ORDER (60 / 90 / 120 / consultation)
-// ---------------------------------------------------------------------
-app.post("/api/create-enterprise-order", async (req, res) => {
+app.post("/api/create-subscription", orderRateLimit, subscriptionBody, async (req, res) => {
   try {
     const keyId = process.env.RAZORPAY_KEY_ID;
     if (!keyId) {
-      return res.status(500).json({
-        success: false,
-        error: { code: "MISSING_KEY_ID", message: "RAZORPAY_KEY_ID not set" },
-      });
+      return sendError(res, 500, "MISSING_KEY_ID", "RAZORPAY_KEY_ID not set");
+    }
+
+    if (req.body.coupon || req.body.couponCode) {
+      return sendError(
+        res,
+        400,
+        "COUPON_NOT_SUPPORTED",
+        "Coupons can't be used with subscriptions. Remove the coupon, or pay monthly / yearly with a one-time order."
+      );
     }
 
     const {
+      planId: requestedPlanId,
+      billingType,
+      country,
+      currency: requestedCurrency,
       fullName,
       email,
       mobileCountryCode,
       mobileNumber,
-      phoneCountryCode,
-      phoneNumber,
-      waCountryCode,
-      waNumber,
       company,
       gstStatus,
       gstNumber,
-      country,
+      taxId,
       city,
       state,
       postalCode,
-      package: pkg,
-      billingType,
-      isConsultation,
-      coupon,
-    } = req.body || {};
+    } = req.body;
 
-    if (!fullName || !email || !pkg) {
-      return res.status(400).json({
-        success: false,
-        error: "fullName, email and package are required",
-      });
+    const currency = resolveCheckoutCurrency({ currency: requestedCurrency, country });
+    if (!currency) {
+      return sendError(res, 400, "UNSUPPORTED_CURRENCY", unsupportedCurrencyError(requestedCurrency));
     }
 
-    if (!mobileCountryCode || !mobileNumber) {
-      console.warn("Enterprise order without primary mobile:", { fullName, email });
-    }
+    const buyerGstin = gstStatus === "yes" ? await verifyBuyerGstin(gstNumber) : null;
+    if (buyerGstin && buyerGstin.error) return sendGstinError(res, buyerGstin.error, "gstNumber");
 
-    if (gstStatus === "yes" && !company) {
-      return res.status(400).json({
-        success: false,
-        error: "Company / Brand name is required when registered with GST.",
-      });
+    const plan = catalog.findPlan(requestedPlanId);
+    if (!plan || plan.kind !== "subscription") {
+      return sendError(res, 400, "INVALID_PLAN", "planId is not a subscription plan");
     }
 
-    const pkgValue = pkg === "consultation" ? "consultation" : String(pkg);
-    let billingTypeValue = (billingType || "monthly").toLowerCase();
-    if (billingTypeValue === "subscription") billingTypeValue = "monthly";
-
-    const consultation = pkgValue === "consultation" || Boolean(isConsultation);
-    if (consultation) billingTypeValue = "one_time";
-
-    const { base, gst, total } = computeEnterprisePrice(pkgValue, billingTypeValue, country);
-
-    const planId = getEnterprisePlanId(pkgValue, billingTypeValue);
-
-    const result = validateOfferForPlan(planId, coupon);
-    let offerMeta = null;
-    let finalAmount = total;
-    let discount = 0;
-    let offerDescription = null;
-
-    if (result.valid) {
-      const calc = applyOffer(total, result.offer);
-      finalAmount = calc.final;
-      discount = calc.discount;
-      offerDescription = calc.description;
-      offerMeta = { code: result.offer.code, type: result.offer.type, amount: result.offer.amount };
+    let bt = (billingType || "monthly").toLowerCase();
+    if (bt === "subscription") bt = "monthly";
+    if (!plan.billingCycles.includes(bt)) {
+      return sendError(
+        res,
+        400,
+        "INVALID_BILLING_TYPE",
+        `billingType must be one of: ${plan.billingCycles.join(", ")}`
+      );
     }
 
-    const amountInPaise = Math.round(finalAmount * 100);
+    const pricing = quotePlanCycle(plan.id, bt, { country, gstStatus, taxId }, currency);
+    if (!pricing) {
+      return sendError(res, 400, "INVALID_PLAN", "Plan is not available for this billing cycle / currency");
+    }
 
-    const receiptId = "VVAS_ENT_" + Date.now().toString(36) + "_" + Math.random().toString(36).slice(2, 7);
+    const amountInPaise = currencies.toMinorUnits(pricing.total, currency);
+    const razorpayPlanId = await getRazorpayPlanId({ plan, billingCycle: bt, amountInPaise, currency });
 
-    const order = await razorpay.orders.create({
-      amount: amountInPaise,
-      currency: "INR",
-      receipt: receiptId,
+    const subscription = await razorpay.subscriptions.create({
+      plan_id: razorpayPlanId,
+      total_count: SUBSCRIPTION_TOTAL_COUNT[bt],
+      quantity: 1,
+      customer_notify: 1,
+      // same keys as order notes, so the v1 contract + n8n payload build the same way
       notes: {
         product: "VVAS",
-        segment: "enterprise",
-        planId,
-        enterprisePackage: pkgValue,
-        billingType: billingTypeValue,
-        isConsultation: consultation ? "yes" : "no",
-        fullName,
+        segment: plan.segment,
+        planId: plan.id,
+        legacyPlanId: catalog.legacyPlanId(plan.id),
+        plan: plan.segment === "starterpro" ? plan.tier : "",
+        enterprisePackage: plan.enterprisePackage || "",
+        billingType: bt,
+        subscription: "yes",
+        fullName: fullName || "",
         email,
-        mobile: `${mobileCountryCode || ""}${mobileNumber || ""}`,
-        phone: `${phoneCountryCode || ""}${phoneNumber || ""}`,
-        whatsapp: `${waCountryCode || ""}${waNumber || ""}`,
+        mobile: fullPhone(mobileCountryCode, mobileNumber),
         company: company || "",
         gstStatus: gstStatus || "",
         gstNumber: gstNumber || "",
+        ...(buyerGstin ? gstinNotes(buyerGstin) : {}),
+        taxId: taxId || "",
         country: country || "",
         city: city || "",
-        state: state || "",
+        state: state || (buyerGstin ? gst.stateName(buyerGstin.stateCode) : ""),
         postalCode: postalCode || "",
-        basePrice: String(base),
-        gstAmount: String(gst),
-        grossTotal: String(total),
-        discount: String(discount),
-        finalAmount: String(finalAmount),
-        couponCode: coupon || "",
-        offerDescription: offerDescription || "",
+        currency,
+        basePrice: String(pricing.base),
+        gstAmount: String(pricing.gst),
+        finalAmount: String(pricing.total),
+        ...taxNotes(pricing.tax),
       },
     });
 
-    // Keep backward-compatible fields, but also add canonical ones
+    console.log("Razorpay subscription created:", subscription.id);
+
     return res.json({
       success: true,
       provider: "razorpay",
       key_id: keyId,
-      order_id: order.id,
-
-      // legacy (keep until frontend migration complete)
-      razorpayKey: keyId,
-      orderId: order.id,
-
-      amount: finalAmount,
+      subscription_id: subscription.id,
+      razorpay_plan_id: razorpayPlanId,
+      status: subscription.status,
+      short_url: subscription.short_url,
+      planId: plan.id,
+      billingType: bt,
+      amount: pricing.total,
       amountInPaise,
-      currency: order.currency,
-      planId,
-      pricing: { base, gst, total, discount, final: finalAmount },
-      offerApplied: !!offerMeta,
-      offer: offerMeta,
-      description: consultation
-        ? "VVAS – Paid consultation call (enterprise)"
-        : `VVAS Enterprise – ${pkgValue} videos / month (${billingTypeValue})`,
+      currency,
+      pricing: { base: pricing.base, gst: pricing.gst, total: pricing.total, discount: 0, final: pricing.total },
+      tax: taxSummary(pricing.tax, pricing.gst),
     });
   } catch (err) {
-    console.error("Error in /api/create-enterprise-order:", err);
-    return res.status(500).json({
-      success: false,
-      error: "Server error creating enterprise order.",
-      details: err.message,
-    });
+    console.error("Error in /api/create-subscription:", err);
+    return sendError(res, 500, "SUBSCRIPTION_CREATE_FAILED", "Server error creating subscription.");
   }
 });
 
 // ---------------------------------------------------------------------
-//  STARTER/PRO: CREATE RAZORPAY ORDER (with offers.json)
+//  WEBHOOK OUTBOX (reliable delivery to event subscribers, e.g. n8n)
+//  Every payload is stored first, then delivered in the background:
+//  - POST with a timeout; any non-2xx / network error is retried with
+//    exponential backoff (N8N_RETRY_BASE_SECONDS × 2^attempt, capped)
+//  - after N8N_MAX_ATTEMPTS the delivery is dead-lettered (status "dead")
+//  - requests are signed: X-VVAS-Signature: t=<unix ms>,v1=<hex HMAC-SHA256("<t>.<body>", secret)>
+//    secret = the subscriber's own `secret`, else N8N_WEBHOOK_SECRET
+//  The worker polls WEBHOOK_QUEUE (only deliveries still to send), never the whole history.
+//  Admin: GET /api/admin/webhook-deliveries[?status=dead], GET .../:id, POST .../:id/replay
 // ---------------------------------------------------------------------
-app.post("/api/create-starterpro-order", async (req, res) => {
-  try {
-    const keyId = process.env.RAZORPAY_KEY_ID;
-    if (!keyId) {
-      return res.status(500).json({
-        success: false,
-        error: { code: "MISSING_KEY_ID", message: "RAZORPAY_KEY_ID not set" },
-      });
+// { id, subscriberId, url, event, payload, status, attempts, nextAttemptAt, ... }
+const WEBHOOK_DELIVERIES = "webhook_deliveries";
+// { id: delivery id, dueAt } for pending (next attempt) and delivering (lease expiry) deliveries
+const WEBHOOK_QUEUE = "webhook_queue";
+
+const N8N_WEBHOOK_SECRET = process.env.N8N_WEBHOOK_SECRET;
+const N8N_DELIVERY_TIMEOUT_MS = (Number(process.env.N8N_DELIVERY_TIMEOUT_SECONDS) || 10) * 1000;
+const N8N_MAX_ATTEMPTS = Number(process.env.N8N_MAX_ATTEMPTS) || 8;
+const N8N_RETRY_BASE_MS = (Number(process.env.N8N_RETRY_BASE_SECONDS) || 30) * 1000;
+const N8N_RETRY_MAX_MS = 6 * 60 * 60 * 1000; // 6 hours
+const OUTBOX_POLL_INTERVAL_MS = 5000;
+const OUTBOX_RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // delivered entries kept 30 days
+const OUTBOX_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const DELIVERY_STATUSES = ["pending", "delivering", "delivered", "dead"];
+
+if (!N8N_WEBHOOK_SECRET) {
+  console.warn("[OUTBOX] N8N_WEBHOOK_SECRET not set; deliveries to subscribers without a secret will be unsigned.");
+}
+
+function signWebhookPayload(body, ts, secret) {
+  return crypto.createHmac("sha256", secret).update(`${ts}.${body}`).digest("hex");
+}
+
+function retryDelayMs(attempts) {
+  return Math.min(N8N_RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), N8N_RETRY_MAX_MS);
+}
+
+// Every delivery write goes through here so WEBHOOK_QUEUE always holds exactly the due-able ones
+function saveDelivery(delivery) {
+  storage.transaction(() => {
+    storage.put(WEBHOOK_DELIVERIES, delivery);
+    if (delivery.status === "pending") {
+      storage.put(WEBHOOK_QUEUE, { id: delivery.id, dueAt: delivery.nextAttemptAt });
+    } else if (delivery.status === "delivering") {
+      storage.put(WEBHOOK_QUEUE, { id: delivery.id, dueAt: delivery.leaseUntil });
+    } else {
+      storage.remove(WEBHOOK_QUEUE, delivery.id);
     }
+  });
+}
+
+// Stores the payload for one subscriber and schedules delivery; returns the delivery id
+function enqueueWebhookDelivery({ subscriber, event, payload }) {
+  const now = Date.now();
+  const delivery = {
+    id: `whd_${now.toString(36)}_${crypto.randomBytes(6).toString("hex")}`,
+    subscriberId: subscriber.id,
+    url: subscriber.url,
+    event,
+    payload,
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: now,
+    createdAt: now,
+    updatedAt: now,
+    history: [],
+  };
+  saveDelivery(delivery);
+  console.log(`[OUTBOX] Queued ${event} delivery ${delivery.id} → ${subscriber.id}`);
+
+  setImmediate(processOutbox);
+  return delivery.id;
+}
+
+// A delivery stuck in "delivering" (crashed worker) is due again once its lease expires
+function isDeliveryDue(delivery, now) {
+  if (delivery.status === "pending") return delivery.nextAttemptAt <= now;
+  return delivery.status === "delivering" && delivery.leaseUntil <= now;
+}
+
+// Atomically move a due delivery to "delivering" so only one worker (or instance) sends it.
+function claimDueDelivery(id, now) {
+  return storage.transaction(() => {
+    const delivery = storage.get(WEBHOOK_DELIVERIES, id);
+    if (!delivery) storage.remove(WEBHOOK_QUEUE, id);
+    if (!delivery || !isDeliveryDue(delivery, now)) return null;
+
+    delivery.status = "delivering";
+    delivery.leaseUntil = now + N8N_DELIVERY_TIMEOUT_MS * 2;
+    saveDelivery(delivery);
+    return delivery;
+  });
+}
 
-    const { plan, billingType, country, coupon } = req.body || {};
+async function attemptDelivery(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const ts = Date.now().toString();
+  const headers = {
+    "Content-Type": "application/json",
+    "X-VVAS-Delivery-Id": delivery.id,
+    "X-VVAS-Event": delivery.event,
+  };
+  const subscriber = EVENT_SUBSCRIBERS.find((s) => s.id === delivery.subscriberId);
+  const secret = (subscriber && subscriber.secret) || N8N_WEBHOOK_SECRET;
+  if (secret) headers["X-VVAS-Signature"] = `t=${ts},v1=${signWebhookPayload(body, ts, secret)}`;
+
+  const startedAt = Date.now();
+  let outcome;
+  try {
+    const response = await fetch(delivery.url, {
+      method: "POST",
+      headers,
+      body,
+      timeout: N8N_DELIVERY_TIMEOUT_MS,
+    });
+    const text = await response.text();
+    outcome = {
+      ok: response.ok,
+      status: response.status,
+      error: response.ok ? null : `HTTP ${response.status}: ${text.slice(0, 500)}`,
+    };
+  } catch (err) {
+    outcome = { ok: false, status: null, error: err.message };
+  }
 
-    if (!plan) {
-      return res.status(400).json({ success: false, error: "plan is required" });
+  const now = Date.now();
+  const attempt = {
+    at: new Date(startedAt).toISOString(),
+    durationMs: now - startedAt,
+    status: outcome.status,
+    error: outcome.error || undefined,
+  };
+
+  storage.transaction(() => {
+    const current = storage.get(WEBHOOK_DELIVERIES, delivery.id) || delivery;
+    current.attempts = (Number(current.attempts) || 0) + 1;
+    current.history = [...(current.history || []), attempt].slice(-20);
+    current.lastStatus = outcome.status;
+    current.lastError = outcome.error;
+    current.leaseUntil = undefined;
+    current.updatedAt = now;
+
+    if (outcome.ok) {
+      current.status = "delivered";
+      current.deliveredAt = now;
+    } else if (current.attempts >= N8N_MAX_ATTEMPTS) {
+      current.status = "dead";
+      current.deadAt = now;
+    } else {
+      current.status = "pending";
+      current.nextAttemptAt = now + retryDelayMs(current.attempts);
     }
+    saveDelivery(current);
 
-    const planNormalized = plan === "pro" ? "pro" : "starter";
-    const basePlanId = planNormalized === "starter" ? "SP_STARTER" : "SP_PRO";
+    if (outcome.ok) {
+      console.log(`[OUTBOX] Delivered ${current.id} (attempt ${current.attempts})`);
+    } else if (current.status === "dead") {
+      console.error(`[OUTBOX] ${current.id} dead-lettered after ${current.attempts} attempts: ${outcome.error}`);
+    } else {
+      console.warn(`[OUTBOX] ${current.id} attempt ${current.attempts} failed (${outcome.error}); will retry`);
+    }
+  });
+}
 
-    let base = STARTER_PRO_PLAN_PRICES[basePlanId];
-    if (!base) {
-      return res.status(400).json({ success: false, error: "Invalid plan" });
+// Hourly, not per poll: this one does read the whole history
+function purgeDeliveredWebhooks(now = Date.now()) {
+  try {
+    storage.list(WEBHOOK_DELIVERIES).forEach((d) => {
+      if (d.status === "delivered" && now - d.deliveredAt > OUTBOX_RETENTION_MS) {
+        storage.remove(WEBHOOK_DELIVERIES, d.id);
+      }
+    });
+  } catch (err) {
+    console.error("[OUTBOX] Purge failed:", err);
+  }
+}
+
+// Deliveries queued before WEBHOOK_QUEUE existed
+function migrateWebhookQueue() {
+  if (storage.get("migrations", "webhook_queue")) return;
+  storage.transaction(() => {
+    const open = storage.list(WEBHOOK_DELIVERIES).filter((d) => ["pending", "delivering"].includes(d.status));
+    open.forEach(saveDelivery);
+    storage.put("migrations", { id: "webhook_queue", at: new Date().toISOString(), count: open.length });
+  });
+}
+
+let outboxRunning = false;
+
+async function processOutbox() {
+  if (outboxRunning) return;
+  outboxRunning = true;
+  try {
+    const now = Date.now();
+    const dueIds = storage
+      .list(WEBHOOK_QUEUE)
+      .filter((q) => q.dueAt <= now)
+      .sort((a, b) => a.dueAt - b.dueAt)
+      .map((q) => q.id);
+
+    for (const id of dueIds) {
+      const delivery = claimDueDelivery(id, Date.now());
+      if (delivery) await attemptDelivery(delivery);
     }
+  } catch (err) {
+    console.error("[OUTBOX] Worker error:", err);
+  } finally {
+    outboxRunning = false;
+  }
+}
 
-    let bt = (billingType || "monthly").toLowerCase();
-    if (bt === "subscription") bt = "monthly";
+function startOutboxWorker() {
+  migrateWebhookQueue();
+  setInterval(processOutbox, OUTBOX_POLL_INTERVAL_MS).unref();
+  setInterval(purgeDeliveredWebhooks, OUTBOX_PURGE_INTERVAL_MS).unref();
+  setImmediate(processOutbox);
+  setImmediate(purgeDeliveredWebhooks);
+}
+
+// Admin list view leaves out the (large) payload; GET /:id has everything
+function summarizeDelivery(d) {
+  const { payload, history, ...summary } = d;
+  return { ...summary, lastAttemptAt: history && history.length ? history[history.length - 1].at : null };
+}
+
+const deliveriesQuery = validateRequest({
+  query: {
+    status: v.string({ oneOf: DELIVERY_STATUSES }),
+    event: v.string({ max: 80 }),
+    subscriber: v.string({ max: 80 }),
+    limit: v.number({ integer: true, min: 1 }),
+    offset: v.number({ integer: true, min: 0 }),
+  },
+});
+
+app.get("/api/admin/webhook-deliveries", requireAdmin("webhooks:read"), deliveriesQuery, (req, res) => {
+  try {
+    const { status, event, subscriber } = req.query;
+
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+    const deliveries = storage
+      .list(WEBHOOK_DELIVERIES)
+      .filter((d) => !status || d.status === status)
+      .filter((d) => !event || d.event === event)
+      .filter((d) => !subscriber || d.subscriberId === subscriber)
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    return res.json({
+      success: true,
+      total: deliveries.length,
+      limit,
+      offset,
+      deliveries: deliveries.slice(offset, offset + limit).map(summarizeDelivery),
+    });
+  } catch (err) {
+    console.error("Error in GET /api/admin/webhook-deliveries:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Failed to load webhook deliveries");
+  }
+});
+
+app.get("/api/admin/webhook-deliveries/:id", requireAdmin("webhooks:read"), (req, res) => {
+  try {
+    const delivery = storage.get(WEBHOOK_DELIVERIES, req.params.id);
+    if (!delivery) return sendError(res, 404, "NOT_FOUND", "Delivery not found");
+    return res.json({ success: true, delivery });
+  } catch (err) {
+    console.error("Error in GET /api/admin/webhook-deliveries/:id:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Failed to load webhook delivery");
+  }
+});
 
-    const planId = basePlanId;
+// Replays a delivery now (dead, delivered or waiting for its next retry); attempts start over
+app.post("/api/admin/webhook-deliveries/:id/replay", requireAdmin("webhooks:replay"), (req, res) => {
+  try {
+    const delivery = storage.transaction(() => {
+      const current = storage.get(WEBHOOK_DELIVERIES, req.params.id);
+      if (!current || current.status === "delivering") return current;
+
+      const now = Date.now();
+      current.status = "pending";
+      current.attempts = 0;
+      current.nextAttemptAt = now;
+      current.replayedAt = now;
+      current.updatedAt = now;
+      saveDelivery(current);
+      return current;
+    });
 
-    if (bt === "yearly") {
-      const yearlyBeforeDiscount = base * 12;
-      base = Math.round(yearlyBeforeDiscount * 0.8);
+    if (!delivery) return sendError(res, 404, "NOT_FOUND", "Delivery not found");
+    if (delivery.status === "delivering") {
+      return sendError(res, 409, "DELIVERY_IN_PROGRESS", "Delivery is being sent right now; try again shortly");
     }
 
-    const isIndia = (country || "").trim().toLowerCase() === "india";
-    const gst = isIndia ? Math.round(base * 0.18) : 0;
-    const total = base + gst;
+    console.log(`[OUTBOX] Replay requested for ${delivery.id}`);
+    setImmediate(processOutbox);
+    return res.status(202).json({ success: true, delivery: summarizeDelivery(delivery) });
+  } catch (err) {
+    console.error("Error in POST /api/admin/webhook-deliveries/:id/replay:", err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Failed to replay webhook delivery");
+  }
+});
+
+// ---------------------------------------------------------------------
+//  EVENTS (dispatcher + webhook subscribers)
+//  emitEvent(type, payload, { segment, planId }) queues one outbox delivery
+//  per subscriber that listens to `type` and matches the segment / plan filters.
+//
+//  Subscribers come from EVENT_SUBSCRIBERS (JSON array), e.g.
+//    [{ "id": "crm", "url": "https://...", "events": ["payment.verified"],
+//       "segments": ["enterprise"], "plans": ["enterprise_60"], "secret": "..." }]
+//  plus the n8n webhooks, registered as built-in subscribers:
+//    N8N_PAYMENT_WEBHOOK_URL  → every event it received before (payments, refunds, subscriptions)
+//    N8N_ONETIME_WEBHOOK_URL  → payment.verified for one-time plans
+// ---------------------------------------------------------------------
+const EVENT_TYPES = [
+  "payment.verified",
+  "payment.refunded",
+  "subscription.renewed",
+  "subscription.status_changed",
+  "offer.redeemed",
+];
+
+const N8N_PAYMENT_WEBHOOK_URL = process.env.N8N_PAYMENT_WEBHOOK_URL;
+const N8N_ONETIME_WEBHOOK_URL = process.env.N8N_ONETIME_WEBHOOK_URL;
+
+const toLowerList = (list) => (Array.isArray(list) ? list.map((v) => String(v).trim().toLowerCase()) : []);
+
+function normalizeSubscriber(raw, index) {
+  const id = String(raw.id || `subscriber_${index + 1}`);
+  const events = (Array.isArray(raw.events) ? raw.events : []).map((e) => String(e).trim());
+
+  if (!raw.url) throw new Error(`Event subscriber "${id}" has no url`);
+  const unknown = events.filter((e) => e !== "*" && !EVENT_TYPES.includes(e));
+  if (!events.length || unknown.length) {
+    throw new Error(`Event subscriber "${id}" has invalid events: ${unknown.join(", ") || "(none)"}`);
+  }
+
+  return {
+    id,
+    url: String(raw.url),
+    events,
+    segments: toLowerList(raw.segments),
+    plans: (Array.isArray(raw.plans) ? raw.plans : []).map(normalizeOfferPlanId),
+    secret: raw.secret ? String(raw.secret) : null,
+  };
+}
+
+function loadEventSubscribers() {
+  const subscribers = [];
+
+  if (N8N_PAYMENT_WEBHOOK_URL) {
+    subscribers.push({
+      id: "n8n-payments",
+      url: N8N_PAYMENT_WEBHOOK_URL,
+      events: ["payment.verified", "payment.refunded", "subscription.renewed", "subscription.status_changed"],
+      segments: [],
+      plans: [],
+      secret: null,
+    });
+  }
+
+  if (N8N_ONETIME_WEBHOOK_URL) {
+    subscribers.push({
+      id: "n8n-one-time",
+      url: N8N_ONETIME_WEBHOOK_URL,
+      events: ["payment.verified"],
+      segments: [],
+      plans: catalog.PLANS.filter((p) => p.kind === "one_time").map((p) => p.id),
+      secret: null,
+    });
+  }
+
+  if (process.env.EVENT_SUBSCRIBERS) {
+    // Bad config should stop the boot, not silently drop events
+    const configured = JSON.parse(process.env.EVENT_SUBSCRIBERS);
+    if (!Array.isArray(configured)) throw new Error("EVENT_SUBSCRIBERS must be a JSON array");
+    configured.forEach((raw, i) => subscribers.push(normalizeSubscriber(raw || {}, i)));
+  }
+
+  const ids = subscribers.map((s) => s.id);
+  const duplicate = ids.find((id, i) => ids.indexOf(id) !== i);
+  if (duplicate) throw new Error(`Duplicate event subscriber id "${duplicate}"`);
+
+  return subscribers;
+}
+
+const EVENT_SUBSCRIBERS = loadEventSubscribers();
+console.log(`[EVENTS] ${EVENT_SUBSCRIBERS.length} subscriber(s): ${EVENT_SUBSCRIBERS.map((s) => s.id).join(", ")}`);
+
+function subscriberMatches(subscriber, type, { segment, planId } = {}) {
+  if (!subscriber.events.includes("*") && !subscriber.events.includes(type)) return false;
+  if (subscriber.segments.length && !subscriber.segments.includes(String(segment || "").toLowerCase())) return false;
+  if (subscriber.plans.length && !catalog.planIdMatches(subscriber.plans, planId)) return false;
+  return true;
+}
+
+// Returns the queued delivery ids (empty when nobody listens)
+function emitEvent(type, payload, filters = {}) {
+  if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown event type "${type}"`);
+
+  return EVENT_SUBSCRIBERS.filter((s) => subscriberMatches(s, type, filters)).map((subscriber) =>
+    enqueueWebhookDelivery({ subscriber, event: type, payload })
+  );
+}
+
+app.get("/api/admin/event-subscribers", requireAdmin("webhooks:read"), (req, res) => {
+  return res.json({
+    success: true,
+    eventTypes: EVENT_TYPES,
+    subscribers: EVENT_SUBSCRIBERS.map(({ secret, ...s }) => ({ ...s, signed: !!(secret || N8N_WEBHOOK_SECRET) })),
+  });
+});
+
+// ---------------------------------------------------------------------
+//  PAYMENT FULFILMENT (shared by /verify-payment + Razorpay webhook)
+//  - builds + stores the v1 thank-you contract (idempotent)
+//  - runs side effects (events → outbox) exactly once per order, whichever path wins
+// ---------------------------------------------------------------------
+// Claims never expire: /verify-payment accepts the same signature forever, so a dropped claim would
+// re-run the side effects (and count the offer redemption twice). One small doc per paid order.
+const FULFILMENTS = "fulfilments"; // { id: order_id, claimedAt, payment_id, source }
+
+// Atomic claim (insert-if-absent): first caller for an order wins, everyone else skips side effects.
+function claimFulfilment({ order_id, payment_id, source }) {
+  return storage.insert(FULFILMENTS, { id: order_id, claimedAt: Date.now(), payment_id, source });
+}
+
+// Safety: ensure notes.finalAmount matches Razorpay order.amount
+// (prevents accidental pricing/notes mismatch). Returns mismatch details or null.
+// notes.finalAmount is in major units of the order's currency; order.amount in its minor units.
+// With STRICT_ORDER_PRICING an order without notes.finalAmount (not priced by us) is a mismatch too.
+function findOrderAmountMismatch(orderDetails) {
+  const orderNotes = orderDetails && orderDetails.notes ? orderDetails.notes : {};
+  const notesFinal = Number(orderNotes.finalAmount ?? 0) || 0;
+
+  if (!orderDetails || orderDetails.amount == null) return null;
+  if (notesFinal <= 0) {
+    return STRICT_ORDER_PRICING ? { notesFinal: null, razorpayOrderAmount: Number(orderDetails.amount) } : null;
+  }
+
+  const notesPaise = currencies.toMinorUnits(notesFinal, String(orderDetails.currency || "INR"));
+  const rpPaise = Number(orderDetails.amount);
+
+  if (Number.isFinite(rpPaise) && notesPaise !== rpPaise) {
+    return { notesFinal, notesPaise, razorpayOrderAmount: rpPaise };
+  }
+  return null;
+}
+
+// Build canonical typed contract (v1) from order notes (source of truth)
+function buildThankYouContractV1({ orderDetails, order_id, payment_id, subscription_id }) {
+  const orderNotes = orderDetails && orderDetails.notes ? orderDetails.notes : {};
+
+  const segment = String(orderNotes.segment || "").toLowerCase(); // "starterpro" | "enterprise" | etc.
+  const isEnterprise = segment === "enterprise";
+
+  const pricingBase = Number(orderNotes.basePrice ?? 0) || 0;
+  const pricingGst = Number(orderNotes.gstAmount ?? 0) || 0;
+  const pricingDiscount = Number(orderNotes.discount ?? 0) || 0;
+  const pricingFinal = Number(orderNotes.finalAmount ?? 0) || 0;
+  // Orders created before the tax breakdown only carry base/gst/discount/final
+  const pricingTaxable = orderNotes.taxableValue === undefined ? undefined : Number(orderNotes.taxableValue) || 0;
+
+  const tax = taxFromNotes(orderNotes);
+  const buyerGstin = String(orderNotes.gstStatus || "").toLowerCase() === "yes" ? orderNotes.gstNumber || "" : "";
+
+  return {
+    version: "v1",
+    kind: isEnterprise ? "enterprise" : "starter_pro",
+    context: isEnterprise
+      ? {
+          package: String(orderNotes.enterprisePackage || "").toLowerCase(), // "60"|"90"|"120"|"consultation"
+          billing_type: String(orderNotes.billingType || "").toLowerCase(), // "monthly"|"yearly"|"one_time"
+          is_consultation: String(orderNotes.isConsultation || "no").toLowerCase(), // "yes"|"no"
+        }
+      : {
+          plan: String(orderNotes.plan || "").toLowerCase(), // "starter"|"pro"
+          billing_type: String(orderNotes.billingType || "").toLowerCase(), // "monthly"|"yearly"
+        },
+    pricing: {
+      base: pricingBase,
+      gst: pricingGst,
+      discount: pricingDiscount,
+      taxable_value: pricingTaxable,
+      final: pricingFinal,
+      currency: String(orderDetails.currency || "INR"),
+      is_india: tax.country === "IN",
+      tax: {
+        country: tax.country || undefined, // ISO code
+        treatment: tax.treatment, // "domestic"|"foreign"|"reverse_charge"|"export"
+        lines: taxLines(tax, pricingGst), // [{ code, label, jurisdiction, rate, amount }]
+      },
+    },
+    // B2B (GST-registered) buyers only
+    buyer: buyerGstin
+      ? {
+          gstin: buyerGstin,
+          legal_name: String(orderNotes.gstLegalName || "").trim() || undefined,
+          gstin_verification: orderNotes.gstVerification || "not_checked", // "verified"|"not_checked"|"unavailable"
+        }
+      : undefined,
+    ids: {
+      order_id,
+      payment_id,
+      subscription_id: subscription_id || undefined,
+    },
+    display: {
+      coupon_code: String(orderNotes.couponCode || "").trim() || undefined,
+      offer_label: String(orderNotes.offerDescription || "").trim() || undefined,
+    },
+  };
+}
+
+// Sign thank-you URL params (v1)
+function buildThankYouLinkV1({ contract, order_id, payment_id }) {
+  const ts = Date.now().toString(); // ms
+  const sig = signThankYouV1({ order_id, payment_id, ts });
+
+  const thankYouPath = contract.kind === "enterprise" ? "VVAS_thank-you-enterprise.html" : "VVAS_thank-you.html";
+
+  const thankYouRelativeUrl =
+    `${thankYouPath}` +
+    `?order_id=${encodeURIComponent(order_id)}` +
+    `&payment_id=${encodeURIComponent(payment_id)}` +
+    `&ts=${encodeURIComponent(ts)}` +
+    `&sig=${encodeURIComponent(sig)}`;
+
+  const url = THANKYOU_PUBLIC_BASE_URL ? joinUrl(THANKYOU_PUBLIC_BASE_URL, thankYouRelativeUrl) : thankYouRelativeUrl;
+
+  return { ts, sig, url };
+}
+
+async function fulfilPaidOrder({
+  order_id,
+  payment_id,
+  subscription_id, // recurring charges only
+  signature,
+  orderDetails,
+  paymentDetails,
+  source, // "verify-payment" | "verify-subscription" | "webhook"
+  event = "payment.verified", // "subscription.renewed" for recurring charges
+  clientAmount,
+  clientCurrency,
+  customer,
+  plan,
+  meta,
+}) {
+  const contract = buildThankYouContractV1({ orderDetails, order_id, payment_id, subscription_id });
 
-    const result = validateOfferForPlan(planId, coupon);
-    let finalAmount = total;
-    let discount = 0;
-    let offerDescription = null;
-    let offerMeta = null;
+  // Store contract (v1) — safe to repeat, both paths build the same contract
+  storeThankYouContract({ order_id, payment_id, contract });
 
-    if (result.valid) {
-      const calc = applyOffer(total, result.offer);
-      finalAmount = calc.final;
-      discount = calc.discount;
-      offerDescription = calc.description;
-      offerMeta = { code: result.offer.code, type: result.offer.type, amount: result.offer.amount };
-    }
+  updateOrderStatus(order_id, "paid", { source, payment_id });
 
-    const amountInPaise = Math.round(finalAmount * 100);
-    const receiptId = "VVAS_SP_" + Date.now().toString(36) + "_" + Math.random().toString(36).slice(2, 7);
+  if (!claimFulfilment({ order_id, payment_id, source })) {
+    console.log(`[FULFILMENT] Order ${order_id} already fulfilled; skipping side effects (${source}).`);
+    return { contract, invoice: storage.get(INVOICES, order_id), duplicate: true };
+  }
 
-    const order = await razorpay.orders.create({
-      amount: amountInPaise,
-      currency: "INR",
-      receipt: receiptId,
-      notes: {
-        product: "VVAS",
-        segment: "starterpro",
-        planId,
-        plan: planNormalized,
-        billingType: bt,
-        country: country || "",
-        basePrice: String(base),
-        gstAmount: String(gst),
-        grossTotal: String(total),
-        discount: String(discount),
-        finalAmount: String(finalAmount),
-        couponCode: coupon || "",
-        offerDescription: offerDescription || "",
-      },
-    });
+  const orderNotes = orderDetails && orderDetails.notes ? orderDetails.notes : {};
 
-    // Keep backward-compatible fields, but also add canonical ones
-    return res.json({
-      success: true,
-      provider: "razorpay",
-      key_id: keyId,
-      order_id: order.id,
+  // Older orders only carry the raw couponCode; a discount means it was applied.
+  const redeemedCode =
+    orderNotes.offerCode || (Number(orderNotes.discount ?? 0) > 0 ? String(orderNotes.couponCode || "") : "");
+  const eventFilters = { segment: orderNotes.segment, planId: orderNotes.planId };
 
-      // legacy (keep until frontend migration complete)
-      razorpayKey: keyId,
-      orderId: order.id,
+  if (redeemedCode) {
+    try {
+      commitOfferRedemption(redeemedCode, orderDetails.receipt);
+      emitEvent(
+        "offer.redeemed",
+        {
+          source: "TGP-AI-VIDEO-RAZORPAY",
+          event: "offer.redeemed",
+          offer_code: redeemedCode,
+          coupon_input: orderNotes.couponCode || "",
+          offer_label: orderNotes.offerDescription || "",
+          discount: Number(orderNotes.discount ?? 0) || 0,
+          currency: String(orderDetails?.currency || "INR"),
+          razorpay_order_id: order_id,
+          razorpay_payment_id: payment_id,
+          customer: { fullName: orderNotes.fullName || "", email: orderNotes.email || "" },
+          plan: {
+            planId: orderNotes.planId || null,
+            legacyPlanId: catalog.legacyPlanId(orderNotes.planId),
+            billingType: orderNotes.billingType || null,
+          },
+          redeemed_at: new Date().toISOString(),
+        },
+        eventFilters
+      );
+    } catch (offerErr) {
+      console.error(`[OFFERS] Failed to count redemption for ${redeemedCode}:`, offerErr);
+    }
+  }
 
-      amount: finalAmount,
-      amountInPaise,
-      currency: order.currency,
-      planId,
-      pricing: { base, gst, total, discount, final: finalAmount },
-      offerApplied: !!offerMeta,
-      offer: offerMeta,
-    });
-  } catch (err) {
-    console.error("Error in /api/create-starterpro-order:", err);
-    return res.status(500).json({
-      success: false,
-      error: "Server error creating starter/pro order.",
-      details: err.message,
-    });
+  let invoice = null;
+  try {
+    invoice = issueInvoiceForOrder({ orderDetails, payment_id });
+  } catch (invoiceErr) {
+    console.error(`[INVOICE] Failed to issue invoice for ${order_id}; queued for retry:`, invoiceErr);
+    queueInvoiceRetry({ orderDetails, payment_id }, invoiceErr);
   }
-});
+
+  const payloadForN8N = {
+    source: "TGP-AI-VIDEO-RAZORPAY",
+    verified: true,
+    fulfilment_source: source,
+    razorpay_payment_id: payment_id,
+    razorpay_order_id: order_id,
+    razorpay_subscription_id: subscription_id || undefined,
+    razorpay_signature: signature || null,
+
+    // ✅ server-authoritative
+    amount_in_paise: orderDetails?.amount ?? null,
+    currency: String(orderDetails?.currency || "INR"),
+
+    // legacy/debug only (ignored for truth)
+    client_amount: clientAmount,
+    client_currency: clientCurrency,
+
+    customer: customer || {},
+    plan: plan || {},
+    meta: {
+      ...(meta || {}),
+      razorpay_order_notes: orderNotes,
+    },
+    payment_details: paymentDetails || {},
+    order_details: orderDetails || {},
+    invoice: invoice ? { number: invoice.number, url: buildInvoiceLinkV1(invoice, "pdf") } : null,
+    verified_at: new Date().toISOString(),
+  };
+
+  emitEvent(event, payloadForN8N, eventFilters);
+
+  return { contract, invoice, duplicate: false };
+}
 
 // ---------------------------------------------------------------------
 //  VERIFY RAZORPAY PAYMENT (EXISTING) → n8n for subscriptions / generic
 //  UPDATED: stores thank-you contract + returns ts/sig + canonical thank-you URLs
 // ---------------------------------------------------------------------
-app.post("/verify-payment", async (req, res) => {
+// Missing ids keep their own code (MISSING_FIELDS); customer / plan / meta are passed on to n8n as sent
+// Every error of the verify routes, validation included, carries provider + verified like their other responses
+function razorpayVerifyEnvelope(req, res, next) {
+  res.locals.errorEnvelope = { provider: "razorpay", verified: false };
+  next();
+}
+
+const verifyPaymentBody = validateRequest({
+  body: {
+    razorpay_payment_id: v.string({ max: 64 }),
+    razorpay_order_id: v.string({ max: 64 }),
+    razorpay_signature: v.string({ max: 128 }),
+    customer: v.object(),
+    plan: v.object(),
+    meta: v.object(),
+  },
+});
+
+app.post("/verify-payment", razorpayVerifyEnvelope, verifyPaymentBody, async (req, res) => {
   console.log(">>> /verify-payment HIT", req.body);
   try {
-const {
-  razorpay_payment_id,
-  razorpay_order_id,
-  razorpay_signature,
-
-  // legacy pass-through (do NOT trust)
-  amount: clientAmount,
-  currency: clientCurrency,
+    const {
+      razorpay_payment_id,
+      razorpay_order_id,
+      razorpay_signature,
 
-  // enrichment only
-  customer,
-  plan,
-  meta,
-} = req.body || {};
+      // legacy pass-through (do NOT trust)
+      amount: clientAmount,
+      currency: clientCurrency,
 
+      // enrichment only
+      customer,
+      plan,
+      meta,
+    } = req.body || {};
 
     if (!razorpay_payment_id || !razorpay_order_id || !razorpay_signature) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: "MISSING_FIELDS",
-          message: "Missing Razorpay payment verification fields",
-        },
-      });
+      return sendError(res, 400, "MISSING_FIELDS", "Missing Razorpay payment verification fields");
     }
 
     const body = razorpay_order_id + "|" + razorpay_payment_id;
@@ -1185,7 +4966,7 @@ const {
     } catch (orderErr) {
       console.error("Error fetching order from Razorpay:", orderErr.message);
     }
-    
+
     if (!orderDetails || !orderDetails.id) {
       console.error("ORDER_FETCH_FAILED: cannot build contract safely", {
         razorpay_order_id,
@@ -1203,185 +4984,454 @@ const {
       });
     }
 
-    const orderNotes = orderDetails && orderDetails.notes ? orderDetails.notes : {};
-
-        // -----------------------------
-    // Safety: ensure notes.finalAmount matches Razorpay order.amount
-    // (prevents accidental pricing/notes mismatch)
-    // -----------------------------
-    const notesFinal = Number(orderNotes.finalAmount ?? 0) || 0;
-
-    if (orderDetails && orderDetails.amount != null && notesFinal > 0) {
-      const notesPaise = Math.round(notesFinal * 100);
-      const rpPaise = Number(orderDetails.amount);
-
-      if (Number.isFinite(rpPaise) && notesPaise !== rpPaise) {
-        console.error("AMOUNT_MISMATCH (notes vs Razorpay order)", {
-          razorpay_order_id,
-          notesFinal,
-          notesPaise,
-          razorpayOrderAmount: rpPaise,
-        });
+    const mismatch = findOrderAmountMismatch(orderDetails);
+    if (mismatch) {
+      console.error("AMOUNT_MISMATCH (notes vs Razorpay order)", { razorpay_order_id, ...mismatch });
 
-        return res.status(400).json({
-          success: false,
-          provider: "razorpay",
-          verified: true, // signature verified, but mismatch means we refuse to proceed
-          error: {
-            code: "AMOUNT_MISMATCH",
-            message: "Order amount mismatch. Please contact support with your order id.",
-          },
-        });
-      }
+      return res.status(400).json({
+        success: false,
+        provider: "razorpay",
+        verified: true, // signature verified, but mismatch means we refuse to proceed
+        error: {
+          code: "AMOUNT_MISMATCH",
+          message: "Order amount mismatch. Please contact support with your order id.",
+        },
+      });
     }
 
-    
-    // -----------------------------
-    // Build canonical typed contract (v1) from order notes (source of truth)
-    // -----------------------------
-    const segment = String(orderNotes.segment || "").toLowerCase(); // "starterpro" | "enterprise" | etc.
-    const isEnterprise = segment === "enterprise";
-
-    const pricingBase = Number(orderNotes.basePrice ?? 0) || 0;
-    const pricingGst = Number(orderNotes.gstAmount ?? 0) || 0;
-    const pricingDiscount = Number(orderNotes.discount ?? 0) || 0;
-    const pricingFinal = Number(orderNotes.finalAmount ?? 0) || 0;
-
-    const countryNote = String(orderNotes.country || "").trim();
-    const isIndia = countryNote.toLowerCase() === "india";
-
-    const contract = {
-      version: "v1",
-      kind: isEnterprise ? "enterprise" : "starter_pro",
-      context: isEnterprise
-        ? {
-            package: String(orderNotes.enterprisePackage || "").toLowerCase(), // "60"|"90"|"120"|"consultation"
-            billing_type: String(orderNotes.billingType || "").toLowerCase(), // "monthly"|"yearly"|"one_time"
-            is_consultation: String(orderNotes.isConsultation || "no").toLowerCase(), // "yes"|"no"
-          }
-        : {
-            plan: String(orderNotes.plan || "").toLowerCase(), // "starter"|"pro"
-            billing_type: String(orderNotes.billingType || "").toLowerCase(), // "monthly"|"yearly"
-          },
-      pricing: {
-        base: pricingBase,
-        gst: pricingGst,
-        discount: pricingDiscount,
-        final: pricingFinal,
-        currency: String(orderDetails.currency || "INR"),
-        is_india: isIndia,
-      },
-      ids: {
-        order_id: razorpay_order_id,
-        payment_id: razorpay_payment_id,
-      },
-      display: {
-        coupon_code: String(orderNotes.couponCode || "").trim() || undefined,
-        offer_label: String(orderNotes.offerDescription || "").trim() || undefined,
-      },
-    };
-
-    // Store contract (v1)
-    storeThankYouContract({
+    const { contract, invoice } = await fulfilPaidOrder({
       order_id: razorpay_order_id,
       payment_id: razorpay_payment_id,
+      signature: razorpay_signature,
+      orderDetails,
+      paymentDetails,
+      source: "verify-payment",
+      clientAmount,
+      clientCurrency,
+      customer,
+      plan,
+      meta,
+    });
+
+    const thankYou = buildThankYouLinkV1({
       contract,
+      order_id: razorpay_order_id,
+      payment_id: razorpay_payment_id,
     });
 
-    // Sign thank-you URL params (v1)
-    const ts = Date.now().toString(); // ms
-    const sig = signThankYouV1({
+    // Canonical + backward-compatible response
+    return res.json({
+      success: true,
+      provider: "razorpay",
+      verified: true,
       order_id: razorpay_order_id,
       payment_id: razorpay_payment_id,
-      ts,
+      message: "Payment verified successfully",
+
+      // typed thank-you navigation details
+      thank_you: {
+        kind: contract.kind,
+        ts: thankYou.ts,
+        sig: thankYou.sig,
+        url: thankYou.url,
+      },
+      invoice: invoice ? { number: invoice.number, url: buildInvoiceLinkV1(invoice, "pdf") } : null,
+    });
+  } catch (err) {
+    console.error("Error in /verify-payment:", err);
+    return res.status(500).json({
+      success: false,
+      provider: "razorpay",
+      verified: false,
+      error: { code: "INTERNAL_ERROR", message: "Internal server error" },
     });
+  }
+});
 
-    const thankYouPath = isEnterprise ? "VVAS_thank-you-enterprise.html" : "VVAS_thank-you.html";
+// ---------------------------------------------------------------------
+//  VERIFY SUBSCRIPTION PAYMENT (first charge, from Razorpay Checkout)
+//  signature = HMAC-SHA256(razorpay_payment_id + "|" + razorpay_subscription_id, key_secret)
+// ---------------------------------------------------------------------
 
-    const thankYouRelativeUrl =
-      `${thankYouPath}` +
-      `?order_id=${encodeURIComponent(razorpay_order_id)}` +
-      `&payment_id=${encodeURIComponent(razorpay_payment_id)}` +
-      `&ts=${encodeURIComponent(ts)}` +
-      `&sig=${encodeURIComponent(sig)}`;
+// A subscription charge has no notes of its own; present it the way fulfilment expects an order.
+function subscriptionChargeAsOrder(subscription, payment) {
+  return {
+    id: payment.order_id || `${subscription.id}_${payment.id}`,
+    amount: payment.amount,
+    currency: payment.currency,
+    receipt: subscription.id,
+    notes: subscription.notes || {},
+  };
+}
 
-    const thankYouUrl = THANKYOU_PUBLIC_BASE_URL
-      ? joinUrl(THANKYOU_PUBLIC_BASE_URL, thankYouRelativeUrl)
-      : thankYouRelativeUrl;
+const verifySubscriptionBody = validateRequest({
+  body: {
+    razorpay_payment_id: v.string({ max: 64 }),
+    razorpay_subscription_id: v.string({ max: 64 }),
+    razorpay_signature: v.string({ max: 128 }),
+    customer: v.object(),
+    meta: v.object(),
+  },
+});
 
-    const payloadForN8N = {
-      source: "TGP-AI-VIDEO-RAZORPAY",
-      verified: true,
-      razorpay_payment_id,
-      razorpay_order_id,
-      razorpay_signature,
-      
-      // ✅ server-authoritative
-      amount_in_paise: orderDetails?.amount ?? null,
-      currency: String(orderDetails?.currency || "INR"),
-
-      // legacy/debug only (ignored for truth)
-      client_amount: clientAmount,
-      client_currency: clientCurrency,
-
-      customer: customer || {},
-      plan: plan || {},
-      meta: {
-        ...(meta || {}),
-        razorpay_order_notes: orderNotes,
-      },
-      payment_details: paymentDetails || {},
-      order_details: orderDetails || {},
-      verified_at: new Date().toISOString(),
-    };
+app.post("/verify-subscription", razorpayVerifyEnvelope, verifySubscriptionBody, async (req, res) => {
+  try {
+    const { razorpay_payment_id, razorpay_subscription_id, razorpay_signature, customer, meta } = req.body || {};
 
-    if (process.env.N8N_PAYMENT_WEBHOOK_URL) {
-      try {
-        console.log("👀 Calling n8n webhook:", process.env.N8N_PAYMENT_WEBHOOK_URL);
-        console.log("📦 Payload for n8n:", JSON.stringify(payloadForN8N, null, 2));
+    if (!razorpay_payment_id || !razorpay_subscription_id || !razorpay_signature) {
+      return sendError(res, 400, "MISSING_FIELDS", "Missing Razorpay subscription verification fields");
+    }
 
-        const response = await fetch(process.env.N8N_PAYMENT_WEBHOOK_URL, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(payloadForN8N),
-        });
+    const expectedSignature = crypto
+      .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET)
+      .update(`${razorpay_payment_id}|${razorpay_subscription_id}`)
+      .digest("hex");
 
-        const text = await response.text();
-        console.log("🔵 n8n webhook responded with:", text);
-      } catch (webhookErr) {
-        console.error("❌ Error calling N8N_PAYMENT_WEBHOOK_URL:", webhookErr);
-      }
+    if (!timingSafeEqualStr(expectedSignature, razorpay_signature)) {
+      console.error("Invalid Razorpay subscription signature:", {
+        razorpay_subscription_id,
+        razorpay_payment_id,
+      });
+      return res.status(400).json({
+        success: false,
+        provider: "razorpay",
+        verified: false,
+        error: { code: "INVALID_SIGNATURE", message: "Invalid signature" },
+      });
     }
 
-    // Canonical + backward-compatible response
+    let subscription = null;
+    let payment = null;
+    try {
+      [subscription, payment] = await Promise.all([
+        razorpay.subscriptions.fetch(razorpay_subscription_id),
+        razorpay.payments.fetch(razorpay_payment_id),
+      ]);
+    } catch (fetchErr) {
+      console.error("Error fetching subscription/payment from Razorpay:", fetchErr.message);
+    }
+
+    if (!subscription || !subscription.id || !payment || !payment.id) {
+      return res.status(502).json({
+        success: false,
+        provider: "razorpay",
+        verified: true,
+        error: {
+          code: "SUBSCRIPTION_FETCH_FAILED",
+          message: "Payment verified but subscription details could not be fetched. Please retry in a moment.",
+        },
+      });
+    }
+
+    const orderLike = subscriptionChargeAsOrder(subscription, payment);
+
+    const mismatch = findOrderAmountMismatch(orderLike);
+    if (mismatch) {
+      console.error("AMOUNT_MISMATCH (notes vs subscription charge)", { razorpay_subscription_id, ...mismatch });
+      return res.status(400).json({
+        success: false,
+        provider: "razorpay",
+        verified: true,
+        error: {
+          code: "AMOUNT_MISMATCH",
+          message: "Subscription amount mismatch. Please contact support with your subscription id.",
+        },
+      });
+    }
+
+    const { contract, invoice } = await fulfilPaidOrder({
+      order_id: orderLike.id,
+      payment_id: razorpay_payment_id,
+      subscription_id: razorpay_subscription_id,
+      signature: razorpay_signature,
+      orderDetails: orderLike,
+      paymentDetails: payment,
+      source: "verify-subscription",
+      customer,
+      meta,
+    });
+
+    const thankYou = buildThankYouLinkV1({ contract, order_id: orderLike.id, payment_id: razorpay_payment_id });
+
     return res.json({
       success: true,
       provider: "razorpay",
       verified: true,
-      order_id: razorpay_order_id,
+      subscription_id: razorpay_subscription_id,
+      order_id: orderLike.id,
       payment_id: razorpay_payment_id,
-      message: "Payment verified successfully",
-
-      // typed thank-you navigation details
+      message: "Subscription payment verified successfully",
       thank_you: {
         kind: contract.kind,
-        ts,
-        sig,
-        url: thankYouUrl,
+        ts: thankYou.ts,
+        sig: thankYou.sig,
+        url: thankYou.url,
       },
+      invoice: invoice ? { number: invoice.number, url: buildInvoiceLinkV1(invoice, "pdf") } : null,
     });
   } catch (err) {
-    console.error("Error in /verify-payment:", err);
+    console.error("Error in /verify-subscription:", err);
     return res.status(500).json({
       success: false,
       provider: "razorpay",
       verified: false,
       error: { code: "INTERNAL_ERROR", message: "Internal server error" },
-      details: err.message,
     });
   }
 });
 
+// ---------------------------------------------------------------------
+//  RAZORPAY WEBHOOK (server-to-server) — POST /api/razorpay/webhook
+//  Source of truth when the customer closes the tab before /verify-payment.
+//  X-Razorpay-Signature = hex HMAC-SHA256(raw body, RAZORPAY_WEBHOOK_SECRET)
+// ---------------------------------------------------------------------
+const RAZORPAY_WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET;
+
+const WEBHOOK_EVENT_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const WEBHOOK_EVENTS = "webhook_events"; // { id: event_id, status: "processing"|"done", at, event }
+
+// An event still "processing" after this long was cut off (crash, restart): Razorpay's retry may take it
+const WEBHOOK_EVENT_PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+expireDocs(WEBHOOK_EVENTS, "at", WEBHOOK_EVENT_TTL_MS);
+
+function claimWebhookEvent(eventId, event) {
+  return storage.transaction(() => {
+    const existing = storage.get(WEBHOOK_EVENTS, eventId);
+    if (
+      existing &&
+      existing.status === "processing" &&
+      Date.now() - existing.at > WEBHOOK_EVENT_PROCESSING_TIMEOUT_MS
+    ) {
+      storage.remove(WEBHOOK_EVENTS, eventId);
+    }
+    return storage.insert(WEBHOOK_EVENTS, { id: eventId, status: "processing", at: Date.now(), event });
+  });
+}
+
+function verifyRazorpayWebhookSignature(rawBody, signature) {
+  if (!RAZORPAY_WEBHOOK_SECRET) {
+    throw new Error("RAZORPAY_WEBHOOK_SECRET not configured");
+  }
+  const expected = crypto.createHmac("sha256", RAZORPAY_WEBHOOK_SECRET).update(rawBody).digest("hex");
+  return timingSafeEqualStr(expected, signature);
+}
+
+// payment.captured / order.paid → same fulfilment as /verify-payment
+async function handlePaidWebhookEvent(event, payload) {
+  const paymentEntity = payload?.payment?.entity || null;
+  const order_id = paymentEntity?.order_id || payload?.order?.entity?.id;
+  const payment_id = paymentEntity?.id;
+
+  if (!order_id || !payment_id) {
+    console.warn(`[WEBHOOK] ${event} without order/payment id; ignoring.`);
+    return "ignored";
+  }
+
+  // Subscription charges also raise payment.captured / order.paid; subscription.charged handles them.
+  if (paymentEntity.invoice_id || paymentEntity.subscription_id) {
+    return "ignored";
+  }
+
+  // Order notes carry the pricing + contract fields; always read them from Razorpay.
+  const orderDetails = await razorpay.orders.fetch(order_id);
+  if (!orderDetails || !orderDetails.id) {
+    throw new Error(`Order ${order_id} could not be fetched`);
+  }
+
+  const mismatch = findOrderAmountMismatch(orderDetails);
+  if (mismatch) {
+    // Not retryable: acknowledge so Razorpay stops, but leave a loud trace.
+    console.error("AMOUNT_MISMATCH (webhook, notes vs Razorpay order)", { order_id, ...mismatch });
+    return "rejected";
+  }
+
+  const { duplicate } = await fulfilPaidOrder({
+    order_id,
+    payment_id,
+    signature: null,
+    orderDetails,
+    paymentDetails: paymentEntity,
+    source: "webhook",
+    meta: { webhook_event: event },
+  });
+
+  return duplicate ? "duplicate" : "processed";
+}
+
+async function handlePaymentFailedWebhookEvent(payload) {
+  const payment = payload?.payment?.entity || {};
+  // The order stays payable (customer can retry), so the coupon reservation is kept.
+  console.warn("[WEBHOOK] payment.failed", {
+    order_id: payment.order_id,
+    payment_id: payment.id,
+    error_code: payment.error_code,
+    error_description: payment.error_description,
+  });
+
+  if (payment.order_id) {
+    updateOrderStatus(payment.order_id, "failed", {
+      source: "webhook",
+      payment_id: payment.id,
+      note: payment.error_description || payment.error_code,
+    });
+  }
+  return "processed";
+}
+
+async function handleRefundProcessedWebhookEvent(payload) {
+  const refund = payload?.refund?.entity || {};
+  const payment = payload?.payment?.entity || null;
+
+  let orderDetails = null;
+  let ledgerEntry = null;
+  const order_id = payment?.order_id || null;
+  if (order_id) {
+    try {
+      orderDetails = await razorpay.orders.fetch(order_id);
+    } catch (orderErr) {
+      console.error("Error fetching order for refund webhook:", orderErr.message);
+    }
+
+    ledgerEntry = recordOrderRefund(order_id, { refund_id: refund.id, amountInPaise: refund.amount, source: "webhook" });
+  }
+
+  const fullRefund = payment ? Number(payment.amount_refunded) >= Number(payment.amount) : false;
+
+  // Refunds made from our admin API were already announced; notifyRefund skips those.
+  await notifyRefund({ refund, payment, orderDetails, ledgerEntry, fullRefund, source: "webhook" });
+
+  return "processed";
+}
+
+// subscription.charged → first charge or renewal; fulfilled like a one-off payment
+async function handleSubscriptionChargedWebhookEvent(payload) {
+  const subscription = payload?.subscription?.entity || null;
+  const payment = payload?.payment?.entity || null;
+
+  if (!subscription?.id || !payment?.id) {
+    console.warn("[WEBHOOK] subscription.charged without subscription/payment; ignoring.");
+    return "ignored";
+  }
+
+  const orderLike = subscriptionChargeAsOrder(subscription, payment);
+
+  const mismatch = findOrderAmountMismatch(orderLike);
+  if (mismatch) {
+    console.error("AMOUNT_MISMATCH (webhook, notes vs subscription charge)", {
+      subscription_id: subscription.id,
+      ...mismatch,
+    });
+    return "rejected";
+  }
+
+  const { duplicate } = await fulfilPaidOrder({
+    order_id: orderLike.id,
+    payment_id: payment.id,
+    subscription_id: subscription.id,
+    signature: null,
+    orderDetails: orderLike,
+    paymentDetails: payment,
+    source: "webhook",
+    event: Number(subscription.paid_count || 0) > 1 ? "subscription.renewed" : "payment.verified",
+    meta: {
+      webhook_event: "subscription.charged",
+      renewal: Number(subscription.paid_count || 0) > 1,
+      paid_count: subscription.paid_count,
+    },
+  });
+
+  return duplicate ? "duplicate" : "processed";
+}
+
+// subscription.activated / halted / cancelled → subscription.status_changed event
+async function handleSubscriptionStatusWebhookEvent(event, payload) {
+  const subscription = payload?.subscription?.entity || {};
+
+  console.log(`[WEBHOOK] ${event}`, { subscription_id: subscription.id, status: subscription.status });
+
+  const notes = subscription.notes || {};
+  const statusPayload = {
+    source: "TGP-AI-VIDEO-RAZORPAY",
+    event,
+    razorpay_subscription_id: subscription.id,
+    status: subscription.status,
+    meta: { razorpay_subscription_notes: notes },
+    subscription_details: subscription,
+    received_at: new Date().toISOString(),
+  };
+
+  emitEvent("subscription.status_changed", statusPayload, { segment: notes.segment, planId: notes.planId });
+
+  return "processed";
+}
+
+// Checked after the signature: only Razorpay's own payloads get this far
+const razorpayWebhookSchema = { event: v.string({ required: true, max: 80 }), payload: v.object({ required: true }) };
+
+app.post("/api/razorpay/webhook", async (req, res) => {
+  if (!RAZORPAY_WEBHOOK_SECRET) {
+    console.error("[WEBHOOK] RAZORPAY_WEBHOOK_SECRET not configured.");
+    return sendError(res, 500, "MISCONFIGURED", "Webhook secret not configured.");
+  }
+
+  const signature = String(req.headers["x-razorpay-signature"] || "");
+  if (!req.rawBody || !signature || !verifyRazorpayWebhookSignature(req.rawBody, signature)) {
+    console.warn("[WEBHOOK] Invalid Razorpay webhook signature.");
+    return sendError(res, 400, "INVALID_SIGNATURE", "Invalid signature");
+  }
+
+  const problems = v.validate(razorpayWebhookSchema, req.body);
+  if (problems.length) return validationFailed(res, problems);
+
+  const { event, payload } = req.body;
+
+  // Razorpay sends a unique id per event (same id on retries)
+  const eventId =
+    String(req.headers["x-razorpay-event-id"] || "") ||
+    crypto.createHash("sha256").update(req.rawBody).digest("hex");
+
+  if (!claimWebhookEvent(eventId, event)) {
+    console.log(`[WEBHOOK] Duplicate event ${eventId} (${event}); skipping.`);
+    return res.json({ success: true, event, status: "duplicate" });
+  }
+
+  try {
+    let status = "ignored";
+
+    switch (event) {
+      case "payment.captured":
+      case "order.paid":
+        status = await handlePaidWebhookEvent(event, payload);
+        break;
+      case "payment.failed":
+        status = await handlePaymentFailedWebhookEvent(payload);
+        break;
+      case "refund.processed":
+        status = await handleRefundProcessedWebhookEvent(payload);
+        break;
+      case "subscription.charged":
+        status = await handleSubscriptionChargedWebhookEvent(payload);
+        break;
+      case "subscription.activated":
+      case "subscription.halted":
+      case "subscription.cancelled":
+        status = await handleSubscriptionStatusWebhookEvent(event, payload);
+        break;
+      default:
+        console.log(`[WEBHOOK] Unhandled event type: ${event}`);
+    }
+
+    storage.put(WEBHOOK_EVENTS, { id: eventId, status: "done", at: Date.now(), event });
+    return res.json({ success: true, event, status });
+  } catch (err) {
+    // Forget the event so Razorpay's retry gets processed
+    storage.remove(WEBHOOK_EVENTS, eventId);
+    console.error(`Error in /api/razorpay/webhook (${event}):`, err);
+    return sendError(res, 500, "INTERNAL_ERROR", "Webhook processing failed");
+  }
+});
+
 // ---------------------------------------------------------------------
 //  VERIFY ONE-TIME PAYMENT (RETIRED ENDPOINT)
 // ---------------------------------------------------------------------
@@ -1391,12 +5441,34 @@ app.post("/verify-onetime-payment", (req, res) => {
       "This endpoint is retired; one-time verification is now handled by /verify-payment."
   );
 
-  return res.status(410).json({
-    success: false,
-    message:
-      "This one-time payment verification endpoint has been retired. " +
-      "Use the standard /verify-payment flow instead.",
-  });
+  return sendError(
+    res,
+    410,
+    "ENDPOINT_RETIRED",
+    "This one-time payment verification endpoint has been retired. Use the standard /verify-payment flow instead."
+  );
+});
+
+// ---------------------------------------------------------------------
+//  FALLBACK ERRORS (same envelope as the routes)
+//  Unknown routes → 404; unparseable JSON → 400 INVALID_JSON; anything thrown → 500
+// ---------------------------------------------------------------------
+app.use((req, res) => sendError(res, 404, "NOT_FOUND", `No route for ${req.method} ${req.path}`));
+
+// Express tells error handlers apart by their 4 arguments, so `next` stays
+app.use((err, req, res, next) => {
+  if (err.type === "entity.parse.failed") {
+    return sendError(res, 400, "INVALID_JSON", "Request body is not valid JSON.");
+  }
+  if (err.type === "entity.too.large") {
+    return sendError(res, 413, "PAYLOAD_TOO_LARGE", "Request body is too large.");
+  }
+  if (err.status >= 400 && err.status < 500) {
+    console.warn(`Rejected ${req.method} ${req.path}:`, err.message);
+    return sendError(res, err.status, "BAD_REQUEST", "The request could not be read.");
+  }
+  console.error(`Unhandled error in ${req.method} ${req.path}:`, err);
+  return sendError(res, 500, "INTERNAL_ERROR", "Server error.");
 });
 
 // ---------------------------------------------------------------------
@@ -1405,4 +5477,5 @@ app.post("/verify-onetime-payment", (req, res) => {
 const PORT = process.env.PORT || 4000;
 app.listen(PORT, () => {
   console.log(`Razorpay backend listening on port ${PORT}`);
+  startOutboxWorker();
 });
@@ -0,0 +1,302 @@
+// storage.js
+// Storage backends for everything server.js persists (offers, thank-you contracts, ...)
+//
+// Every backend is a document store with the same synchronous interface:
+//   list(collection)            -> [doc]
+//   get(collection, id)         -> doc | null
+//   put(collection, doc)        -> upsert (id read from the doc's key field)
+//   insert(collection, doc)     -> false if the id already exists (atomic claim)
+//   remove(collection, id)      -> true if something was removed
+//   replaceAll(collection, docs)
+//   removeExpired(collection, field, before) -> drops docs whose `field` (ms timestamp) is missing or < before
+//   transaction(fn)             -> runs fn atomically (SQLite: BEGIN IMMEDIATE; json: one write per file,
+//                                  and a throw restores the collections it changed)
+//   durable                     -> false when a restart loses everything (memory)
+//
+// Backends:
+//   "sqlite" – one SQLite file shared by every instance (production)
+//   "json"   – single instance: one JSON file per collection (offers.json, offer_codes.json and
+//              offer_audit.json in DATA_DIR, the rest in DATA_DIR/data/), cached in memory and
+//              written atomically on every change; edit the files only while the server is stopped
+//   "memory" – everything in memory (tests / throwaway runs)
+
+const fs = require("fs");
+const path = require("path");
+
+// Field holding each collection's id. offers.json has always been keyed by `code`.
+const KEY_FIELDS = {
+  offers: "code",
+  offer_codes: "code",
+};
+
+function keyOf(collection, doc) {
+  const field = KEY_FIELDS[collection] || "id";
+  const id = doc ? doc[field] : undefined;
+  if (id === undefined || id === null || id === "") {
+    throw new Error(`Document in "${collection}" is missing its "${field}"`);
+  }
+  return String(id);
+}
+
+function clone(doc) {
+  return doc === null || doc === undefined ? null : JSON.parse(JSON.stringify(doc));
+}
+
+const isExpired = (doc, field, before) => !doc || !doc[field] || doc[field] < before;
+
+// ───────────────── MEMORY ─────────────────
+
+function createMemoryStore() {
+  const collections = new Map(); // collection -> Map(id -> doc)
+
+  function col(name) {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  }
+
+  return {
+    backend: "memory",
+    durable: false,
+    list: (collection) => Array.from(col(collection).values()).map(clone),
+    get: (collection, id) => clone(col(collection).get(String(id))),
+    put(collection, doc) {
+      col(collection).set(keyOf(collection, doc), clone(doc));
+    },
+    insert(collection, doc) {
+      const id = keyOf(collection, doc);
+      if (col(collection).has(id)) return false;
+      col(collection).set(id, clone(doc));
+      return true;
+    },
+    remove: (collection, id) => col(collection).delete(String(id)),
+    replaceAll(collection, docs) {
+      const next = new Map();
+      (docs || []).forEach((doc) => next.set(keyOf(collection, doc), clone(doc)));
+      collections.set(collection, next);
+    },
+    removeExpired(collection, field, before) {
+      let removed = 0;
+      col(collection).forEach((doc, id) => {
+        if (isExpired(doc, field, before) && col(collection).delete(id)) removed += 1;
+      });
+      return removed;
+    },
+    // single process + synchronous callers: nothing can interleave
+    transaction: (fn) => fn(),
+  };
+}
+
+// ───────────────── JSON FILE ─────────────────
+// One pretty-printed array per collection. Each file is read once, then served from memory;
+// every change rewrites that collection's file (temp file + rename, so a crash never leaves half a file).
+// files: collection → path for the ones with a fixed name; dir: where every other collection goes.
+
+function createJsonFileStore({ files = {}, dir }) {
+  const cache = new Map(); // collection -> Map(id -> doc)
+  let depth = 0; // transaction nesting: writes inside one are flushed once, when the outermost call ends
+  const dirty = new Set();
+  const snapshots = new Map(); // collection -> its docs before the transaction's first write to it
+
+  function fileFor(collection) {
+    if (files[collection]) return files[collection];
+    if (dir) return path.join(dir, `${collection}.json`);
+    throw new Error(`No JSON file configured for "${collection}"`);
+  }
+
+  function col(collection) {
+    if (cache.has(collection)) return cache.get(collection);
+    const docs = new Map();
+    const file = fileFor(collection);
+    const raw = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : "";
+    const parsed = raw.trim() ? JSON.parse(raw) : [];
+    (Array.isArray(parsed) ? parsed : []).forEach((doc) => docs.set(keyOf(collection, doc), doc));
+    cache.set(collection, docs);
+    return docs;
+  }
+
+  // Call before changing a collection: inside a transaction, remembers it for rollback.
+  // Docs are never mutated in place (put/insert store clones), so a shallow copy is enough.
+  function changing(collection) {
+    if (depth > 0 && !snapshots.has(collection)) snapshots.set(collection, new Map(col(collection)));
+  }
+
+  function save(collection) {
+    if (depth > 0) {
+      dirty.add(collection);
+      return;
+    }
+    const file = fileFor(collection);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify(Array.from(col(collection).values()), null, 2), "utf8");
+    fs.renameSync(tmp, file);
+  }
+
+  return {
+    backend: "json",
+    durable: true,
+    list: (collection) => Array.from(col(collection).values()).map(clone),
+    get: (collection, id) => clone(col(collection).get(String(id))),
+    put(collection, doc) {
+      changing(collection);
+      col(collection).set(keyOf(collection, doc), clone(doc));
+      save(collection);
+    },
+    insert(collection, doc) {
+      const id = keyOf(collection, doc);
+      if (col(collection).has(id)) return false;
+      changing(collection);
+      col(collection).set(id, clone(doc));
+      save(collection);
+      return true;
+    },
+    remove(collection, id) {
+      changing(collection);
+      if (!col(collection).delete(String(id))) return false;
+      save(collection);
+      return true;
+    },
+    replaceAll(collection, docs) {
+      const next = new Map();
+      (docs || []).forEach((doc) => next.set(keyOf(collection, doc), clone(doc)));
+      changing(collection);
+      cache.set(collection, next);
+      save(collection);
+    },
+    removeExpired(collection, field, before) {
+      changing(collection);
+      let removed = 0;
+      col(collection).forEach((doc, id) => {
+        if (isExpired(doc, field, before) && col(collection).delete(id)) removed += 1;
+      });
+      if (removed) save(collection);
+      return removed;
+    },
+    // single process + synchronous callers: nothing can interleave.
+    // Batches the file writes: 2000 inserts in one transaction rewrite the file once.
+    // Nested calls join the outer one (like SQLite): a throw that leaves the outermost call puts
+    // every changed collection back as it was and writes nothing.
+    transaction(fn) {
+      depth += 1;
+      let failed = true;
+      try {
+        const result = fn();
+        failed = false;
+        return result;
+      } finally {
+        depth -= 1;
+        if (depth === 0) {
+          if (failed) snapshots.forEach((docs, collection) => cache.set(collection, docs));
+          const collections = failed ? [] : Array.from(dirty);
+          snapshots.clear();
+          dirty.clear();
+          collections.forEach(save);
+        }
+      }
+    },
+  };
+}
+
+// ───────────────── SQLITE ─────────────────
+
+function createSqliteStore({ file }) {
+  // Loaded lazily so dev setups without the native module still boot
+  const Database = require("better-sqlite3");
+
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 5000");
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS documents (
+      collection TEXT NOT NULL,
+      id         TEXT NOT NULL,
+      data       TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (collection, id)
+    )
+  `);
+
+  const stmts = {
+    list: db.prepare("SELECT data FROM documents WHERE collection = ? ORDER BY rowid"),
+    get: db.prepare("SELECT data FROM documents WHERE collection = ? AND id = ?"),
+    upsert: db.prepare(
+      `INSERT INTO documents (collection, id, data, updated_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`
+    ),
+    insert: db.prepare(
+      "INSERT OR IGNORE INTO documents (collection, id, data, updated_at) VALUES (?, ?, ?, ?)"
+    ),
+    remove: db.prepare("DELETE FROM documents WHERE collection = ? AND id = ?"),
+    removeExpired: db.prepare(
+      "DELETE FROM documents WHERE collection = ? AND COALESCE(json_extract(data, ?), 0) < ?"
+    ),
+    clear: db.prepare("DELETE FROM documents WHERE collection = ?"),
+  };
+
+  const now = () => new Date().toISOString();
+
+  const store = {
+    backend: "sqlite",
+    durable: true,
+    db,
+    list: (collection) => stmts.list.all(collection).map((row) => JSON.parse(row.data)),
+    get(collection, id) {
+      const row = stmts.get.get(collection, String(id));
+      return row ? JSON.parse(row.data) : null;
+    },
+    put(collection, doc) {
+      stmts.upsert.run(collection, keyOf(collection, doc), JSON.stringify(doc), now());
+    },
+    insert(collection, doc) {
+      return stmts.insert.run(collection, keyOf(collection, doc), JSON.stringify(doc), now()).changes > 0;
+    },
+    remove: (collection, id) => stmts.remove.run(collection, String(id)).changes > 0,
+    replaceAll(collection, docs) {
+      store.transaction(() => {
+        stmts.clear.run(collection);
+        (docs || []).forEach((doc) => store.put(collection, doc));
+      });
+    },
+    removeExpired: (collection, field, before) =>
+      stmts.removeExpired.run(collection, `$.${field}`, before).changes,
+    transaction(fn) {
+      // Nested calls join the outer transaction
+      if (db.inTransaction) return fn();
+      return db.transaction(fn).immediate();
+    },
+  };
+
+  return store;
+}
+
+// backend: "sqlite" | "json" | "memory"
+function createStorage({ backend = "json", dataDir, sqliteFile } = {}) {
+  const dir = dataDir || __dirname;
+
+  if (backend === "sqlite") {
+    return createSqliteStore({ file: sqliteFile || path.join(dir, "vvas.sqlite") });
+  }
+  if (backend === "memory") {
+    return createMemoryStore();
+  }
+  if (backend !== "json") {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected sqlite, json or memory)`);
+  }
+
+  return createJsonFileStore({
+    files: {
+      offers: path.join(dir, "offers.json"),
+      offer_codes: path.join(dir, "offer_codes.json"),
+      offer_audit: path.join(dir, "offer_audit.json"),
+    },
+    dir: path.join(dir, "data"),
+  });
+}
+
+module.exports = {
+  createStorage,
+  createMemoryStore,
+  createJsonFileStore,
+  createSqliteStore,
+};
@@ -0,0 +1,98 @@
+// tax.js
+// Tax engine: which tax a sale carries and at what rate, from the buyer's country (ISO code, see
+// countries.js), the plan and whether the buyer is a registered business (B2B). The seller is in India.
+//
+// Rules per jurisdiction: DEFAULT_TAX_RULES, overridden by TAX_RULES (JSON), e.g.
+//   TAX_RULES='{"IN":{"tax":"GST","rate":0.18,"products":{"consultation_call":0.18}},"GB":{"tax":"VAT","rate":0.2}}'
+//   products: rate per catalog plan id or product name ("VVAS"), instead of `rate`
+//
+// taxFor({ country, business, planId, product }) → { country, treatment, tax, rate, note }
+//   domestic       – buyer in India; a blank country counts as India, so tax is never skipped silently
+//   foreign        – consumer in another jurisdiction with a rule: its tax, collected by us
+//   reverse_charge – registered business in such a jurisdiction: nothing charged, the buyer accounts for it
+//   export         – anywhere else: zero-rated export of services
+// taxLines(tax, amount) → [{ code, label, jurisdiction, rate, amount }] (empty when nothing is charged)
+
+const countries = require("./countries");
+
+const HOME_COUNTRY = "IN";
+
+const DEFAULT_TAX_RULES = {
+  IN: { tax: "GST", rate: 0.18 },
+};
+
+const validRate = (rate) => typeof rate === "number" && rate >= 0 && rate < 1;
+
+// TAX_RULES on top of the defaults; invalid entries are logged and skipped
+function loadTaxRules(raw = process.env.TAX_RULES) {
+  const rules = { ...DEFAULT_TAX_RULES };
+  if (!raw) return rules;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    console.error("[TAX] TAX_RULES is not valid JSON; using the default rules.", err.message);
+    return rules;
+  }
+
+  Object.entries(parsed || {}).forEach(([jurisdiction, rule]) => {
+    const code = countries.countryCode(jurisdiction);
+    const products = (rule && rule.products) || {};
+    if (!code || !rule || !rule.tax || !validRate(rule.rate) || !Object.values(products).every(validRate)) {
+      console.error(`[TAX] Ignoring TAX_RULES.${jurisdiction}: expected { tax, rate (0-1), products? }`);
+      return;
+    }
+    rules[code] = { tax: String(rule.tax), rate: rule.rate, products: { ...products } };
+  });
+  return rules;
+}
+
+function createTaxEngine({ rules = DEFAULT_TAX_RULES } = {}) {
+  if (!rules[HOME_COUNTRY]) throw new Error(`Tax rules need a rule for ${HOME_COUNTRY}`);
+
+  function rateFor(rule, { planId, product }) {
+    const products = rule.products || {};
+    if (planId && products[planId] !== undefined) return products[planId];
+    if (product && products[product] !== undefined) return products[product];
+    return rule.rate;
+  }
+
+  function taxFor({ country, business = false, planId, product } = {}) {
+    // Routes reject unknown countries; anything that still gets here is taxed like a domestic sale
+    const code = countries.countryCode(country) || HOME_COUNTRY;
+    const rule = rules[code];
+
+    const treatment =
+      code === HOME_COUNTRY ? "domestic" : !rule ? "export" : business ? "reverse_charge" : "foreign";
+
+    if (treatment === "export") {
+      return { country: code, treatment, tax: null, rate: 0, note: "Export of services: zero-rated" };
+    }
+    if (treatment === "reverse_charge") {
+      const note = `Reverse charge: ${rule.tax} to be accounted for by the recipient`;
+      return { country: code, treatment, tax: rule.tax, rate: 0, note };
+    }
+    return { country: code, treatment, tax: rule.tax, rate: rateFor(rule, { planId, product }), note: null };
+  }
+
+  return {
+    homeCountry: HOME_COUNTRY,
+    rules,
+    taxFor,
+  };
+}
+
+function taxLines(tax, amount) {
+  if (!tax || !tax.rate || !tax.tax) return [];
+  const percent = Math.round(tax.rate * 10000) / 100;
+  return [{ code: tax.tax, label: `${tax.tax} ${percent}%`, jurisdiction: tax.country, rate: tax.rate, amount }];
+}
+
+module.exports = {
+  HOME_COUNTRY,
+  DEFAULT_TAX_RULES,
+  loadTaxRules,
+  createTaxEngine,
+  taxLines,
+};
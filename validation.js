@@ -0,0 +1,180 @@
+// validation.js
+// Declarative request schemas: every route lists its fields once, server.js turns the
+// problems into the standard 400 VALIDATION_FAILED error with one entry per field.
+//
+//   const schema = { email: v.email({ required: true }), count: v.number({ integer: true, min: 1 }) };
+//   validate(schema, req.body) → [{ field, code, message }]   (empty when valid)
+//
+// Only listed fields are checked; unknown fields are ignored. Blank ("" / null / undefined)
+// optional fields are skipped. Cross-field checks go in `$refine: (input) => [problem]`;
+// they run once every listed field is valid.
+
+const isBlank = (v) => v === undefined || v === null || (typeof v === "string" && v.trim() === "");
+
+const problem = (field, code, message) => ({ field, code, message });
+
+// oneOf: allowed values (ignoreCase: compared lower-cased, for fields the handler lower-cases anyway)
+// patternMessage: what a match looks like, after the field name ("must be a 3-letter currency code")
+function string({ required = false, min, max, pattern, patternMessage, oneOf, ignoreCase = false } = {}) {
+  return {
+    required,
+    check(value, field) {
+      if (typeof value !== "string" && typeof value !== "number") {
+        return problem(field, "INVALID_TYPE", `${field} must be a string`);
+      }
+      const text = String(value).trim();
+      if (oneOf && !oneOf.includes(ignoreCase ? text.toLowerCase() : text)) {
+        return problem(field, "NOT_ALLOWED", `${field} must be one of: ${oneOf.join(", ")}`);
+      }
+      if (min !== undefined && text.length < min) {
+        return problem(field, "TOO_SHORT", `${field} must be at least ${min} characters`);
+      }
+      if (max !== undefined && text.length > max) {
+        return problem(field, "TOO_LONG", `${field} must be at most ${max} characters`);
+      }
+      if (pattern && !pattern.test(text)) {
+        return problem(field, "INVALID_FORMAT", `${field} ${patternMessage || "has an invalid format"}`);
+      }
+      return null;
+    },
+  };
+}
+
+// Accepts numbers and numeric strings ("499")
+function number({ required = false, min, max, integer = false } = {}) {
+  return {
+    required,
+    check(value, field) {
+      const n = typeof value === "number" ? value : typeof value === "string" ? Number(value.trim()) : NaN;
+      if (!Number.isFinite(n)) return problem(field, "INVALID_TYPE", `${field} must be a number`);
+      if (integer && !Number.isInteger(n)) return problem(field, "INVALID_TYPE", `${field} must be a whole number`);
+      if (min !== undefined && n < min) return problem(field, "OUT_OF_RANGE", `${field} must be ≥ ${min}`);
+      if (max !== undefined && n > max) return problem(field, "OUT_OF_RANGE", `${field} must be ≤ ${max}`);
+      return null;
+    },
+  };
+}
+
+// JSON true / false only: handlers test truthiness, so "false" must not slip through
+function boolean({ required = false } = {}) {
+  return {
+    required,
+    check(value, field) {
+      return typeof value === "boolean" ? null : problem(field, "INVALID_TYPE", `${field} must be true or false`);
+    },
+  };
+}
+
+function email({ required = false } = {}) {
+  return string({
+    required,
+    max: 254,
+    pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    patternMessage: "must be a valid email address",
+  });
+}
+
+// Local number, 6-15 digits; spaces, dashes, dots and brackets allowed.
+// A leading "+" means the number already has its country code ("+91 98765 43210").
+function phone({ required = false } = {}) {
+  return string({
+    required,
+    pattern: /^\+?[\d\s().-]{6,20}$/,
+    patternMessage: "must be a phone number",
+  });
+}
+
+// "+91", "91"
+function countryCallingCode({ required = false } = {}) {
+  return string({ required, pattern: /^\+?\d{1,4}$/, patternMessage: "must be a calling code like +91" });
+}
+
+// Any other single-value rule: test(value) → true when valid; message follows the field name
+function custom({ required = false, test, code = "INVALID_VALUE", message = "is invalid" } = {}) {
+  return {
+    required,
+    check(value, field) {
+      return test(value) ? null : problem(field, code, `${field} ${message}`);
+    },
+  };
+}
+
+function isoDate({ required = false } = {}) {
+  return {
+    required,
+    check(value, field) {
+      return Number.isNaN(new Date(String(value)).getTime())
+        ? problem(field, "INVALID_FORMAT", `${field} must be an ISO date`)
+        : null;
+    },
+  };
+}
+
+function array({ required = false, of, max } = {}) {
+  return {
+    required,
+    check(value, field) {
+      if (!Array.isArray(value)) return problem(field, "INVALID_TYPE", `${field} must be an array`);
+      if (max !== undefined && value.length > max) {
+        return problem(field, "TOO_LONG", `${field} may have at most ${max} entries`);
+      }
+      if (!of) return null;
+      const nested = [];
+      value.forEach((item, i) => {
+        const p = isBlank(item) ? null : of.check(item, `${field}[${i}]`);
+        if (p) nested.push(...[].concat(p));
+      });
+      return nested.length ? nested : null;
+    },
+  };
+}
+
+function object({ required = false, shape = {} } = {}) {
+  return {
+    required,
+    check(value, field) {
+      if (typeof value !== "object" || Array.isArray(value)) {
+        return problem(field, "INVALID_TYPE", `${field} must be an object`);
+      }
+      const nested = validate(shape, value, `${field}.`);
+      return nested.length ? nested : null;
+    },
+  };
+}
+
+function validate(schema, input, prefix = "") {
+  const problems = [];
+  const source = input && typeof input === "object" ? input : {};
+
+  Object.entries(schema).forEach(([name, rule]) => {
+    if (name === "$refine") return;
+    const field = `${prefix}${name}`;
+    const value = source[name];
+    if (isBlank(value)) {
+      if (rule.required) problems.push(problem(field, "REQUIRED", `${field} is required`));
+      return;
+    }
+    const p = rule.check(value, field);
+    if (p) problems.push(...[].concat(p));
+  });
+
+  if (!problems.length && typeof schema.$refine === "function") {
+    (schema.$refine(source) || []).forEach((item) => problems.push({ ...item, field: `${prefix}${item.field}` }));
+  }
+  return problems;
+}
+
+module.exports = {
+  validate,
+  problem,
+  string,
+  number,
+  boolean,
+  email,
+  phone,
+  countryCallingCode,
+  isoDate,
+  custom,
+  array,
+  object,
+};